@@ -7,6 +7,207 @@
   'use strict';
 
   const MODULE_ID = 'rnk-vortex-system-optimizer';
+  const CHAT_ARCHIVE_PACK = 'rnk-chat-archive';
+  const RECYCLE_BIN_PACK = 'rnk-recycle-bin';
+  // Chat archives and Recycle Bin snapshots hold whispers and blind rolls, so their packs are GM-only.
+  const GM_ONLY_PACK_OWNERSHIP = { PLAYER: 'NONE', TRUSTED: 'NONE', ASSISTANT: 'OWNER' };
+
+  // World collections walked by the analysis passes, keyed by their `game` property.
+  const WORLD_COLLECTIONS = [
+    { key: 'actors', documentName: 'Actor', label: 'Actors' },
+    { key: 'items', documentName: 'Item', label: 'Items' },
+    { key: 'scenes', documentName: 'Scene', label: 'Scenes' },
+    { key: 'journal', documentName: 'JournalEntry', label: 'Journals' },
+    { key: 'messages', documentName: 'ChatMessage', label: 'Chat Messages' },
+    { key: 'tables', documentName: 'RollTable', label: 'Roll Tables' },
+    { key: 'playlists', documentName: 'Playlist', label: 'Playlists' },
+    { key: 'macros', documentName: 'Macro', label: 'Macros' }
+  ];
+
+  // "Every Nth session" counts world launches. When the launch time is unavailable, GM loads
+  // closer together than this count as the same session.
+  const SCHEDULE_SESSION_GAP_MS = 6 * 60 * 60 * 1000;
+
+  // World settings that together make up the options passed to dryRun()/optimize().
+  const OPTION_KEYS = [
+    'doCleanupChat', 'chatRetentionDays', 'chatRetentionRules', 'chatArchiveMode',
+    'doCleanupInactiveCombats', 'combatStaleDays', 'doCleanupScenelessCombats', 'doCleanupDefeatedCombats', 'doCleanupTokenlessCombats',
+    'doCleanupFogDeletedUsers', 'doCleanupFogDeletedScenes', 'fogStaleDays',
+    'doExtractInlineImages', 'inlineImageFolder', 'doScrubModuleFlags', 'doPruneOrphanSettings',
+    'doRebuildCompendiumIndexes', 'doValidateCompendiumDocuments', 'doMigrateCompendiums', 'doCorePerformanceTweaks',
+    'doAnalyzeDatabase', 'doIntegrityScan', 'doSceneAudit', 'doValidateDocuments', 'doFindDuplicates', 'doCheckMediaPaths', 'analysisTopN',
+    'doRecycleBin', 'recycleBinRetentionDays'
+  ];
+
+  // Built-in profiles, applied over the registered setting defaults.
+  const PROFILE_PRESETS = {
+    'Weekly light': {
+      doCleanupChat: true,
+      chatRetentionDays: 30,
+      doCleanupInactiveCombats: true,
+      doRebuildCompendiumIndexes: false,
+      doCorePerformanceTweaks: false
+    },
+    'Pre-campaign deep clean': {
+      doCleanupChat: true,
+      chatRetentionDays: 14,
+      chatArchiveMode: 'compendium',
+      doCleanupInactiveCombats: true,
+      combatStaleDays: 14,
+      doCleanupScenelessCombats: true,
+      doCleanupDefeatedCombats: true,
+      doCleanupTokenlessCombats: true,
+      doCleanupFogDeletedUsers: true,
+      doCleanupFogDeletedScenes: true,
+      doExtractInlineImages: true,
+      doScrubModuleFlags: true,
+      doPruneOrphanSettings: true,
+      doRebuildCompendiumIndexes: true,
+      doValidateCompendiumDocuments: true,
+      doAnalyzeDatabase: true,
+      doIntegrityScan: true,
+      doSceneAudit: true,
+      doValidateDocuments: true,
+      doFindDuplicates: true,
+      doCheckMediaPaths: true
+    },
+    'Performance only': {
+      doCleanupChat: false,
+      doCleanupInactiveCombats: false,
+      doRebuildCompendiumIndexes: true,
+      doCorePerformanceTweaks: true
+    }
+  };
+
+  const SOCKET_NAME = `module.${MODULE_ID}`;
+
+  // Frame-time histogram buckets (ms). 16.7ms is one frame at 60 FPS.
+  const FRAME_HISTOGRAM_BUCKETS = [
+    { label: '< 8ms', max: 8.3 },
+    { label: '8–17ms', max: 16.7 },
+    { label: '17–33ms', max: 33.3 },
+    { label: '33–50ms', max: 50 },
+    { label: '50–100ms', max: 100 },
+    { label: '> 100ms', max: Infinity }
+  ];
+  const LONG_FRAME_MS = 50;
+
+  // Startup phases in the order Foundry fires them; the initial scene is drawn before `ready`.
+  const LOAD_PHASES = ['init', 'i18nInit', 'setup', 'canvasReady', 'ready'];
+
+  // Rough per-placeable rendering/update cost used to rank scenes; only the ordering matters.
+  const SCENE_COST_WEIGHTS = {
+    walls: 0.2,
+    lights: 3,
+    animatedLights: 6,
+    sounds: 1,
+    tokens: 2,
+    tiles: 1.5,
+    drawings: 0.5,
+    notes: 0.2,
+    regions: 1,
+    megapixels: 2,
+    tokenVision: 10,
+    fogExploration: 5
+  };
+
+  // Client-side performance presets. Keys a Foundry version does not register are skipped;
+  // performanceMode also governs texture resolution and mipmapping in core.
+  const CLIENT_PRESETS = {
+    low: {
+      label: 'Low',
+      settings: {
+        'core.maxFPS': 30,
+        'core.softShadows': false,
+        'core.performanceMode': 0,
+        'core.lightAnimation': false,
+        'core.visionAnimation': false,
+        'core.mipmap': false,
+        'core.pixelRatioResolutionScaling': false
+      }
+    },
+    balanced: {
+      label: 'Balanced',
+      settings: {
+        'core.maxFPS': 60,
+        'core.softShadows': false,
+        'core.performanceMode': 1,
+        'core.lightAnimation': true,
+        'core.visionAnimation': true,
+        'core.mipmap': true,
+        'core.pixelRatioResolutionScaling': false
+      }
+    },
+    high: {
+      label: 'High',
+      settings: {
+        'core.maxFPS': 120,
+        'core.softShadows': true,
+        'core.performanceMode': 2,
+        'core.lightAnimation': true,
+        'core.visionAnimation': true,
+        'core.mipmap': true,
+        'core.pixelRatioResolutionScaling': true
+      }
+    }
+  };
+
+  // Combat cleanup criteria, each reported separately in the dry run.
+  const COMBAT_CRITERIA = {
+    inactive: 'Not started, no turns',
+    stale: 'Started, not updated recently',
+    sceneless: 'Scene deleted',
+    defeated: 'All combatants defeated',
+    tokenless: 'All tokens missing'
+  };
+
+  // Fog exploration cleanup criteria, reported like the combat ones.
+  const FOG_CRITERIA = {
+    user: 'User deleted',
+    scene: 'Scene deleted',
+    stale: 'Not explored recently'
+  };
+
+  // Message categories a chat retention rule can match on.
+  const CHAT_RULE_MATCHES = {
+    roll: 'Rolls',
+    whisper: 'Whispers',
+    blind: 'GM-only blind rolls',
+    ooc: 'Out of character',
+    ic: 'In character',
+    emote: 'Emotes',
+    speaker: 'Speaker (alias)',
+    actor: 'Actor (name or ID)'
+  };
+
+  // Values as they were before the optimizer first touched them (client-scoped,
+  // like the settings they describe). Kept in memory so back-to-back records merge.
+  let _originalPerformance = null;
+
+  function _getOriginalPerformance() {
+    if (!_originalPerformance) {
+      try {
+        _originalPerformance = { ...(game.settings.get(MODULE_ID, 'originalPerformance') ?? {}) };
+      } catch (_e) {
+        return {};
+      }
+    }
+    return _originalPerformance;
+  }
+
+  function _recordOriginalPerformance(key, value) {
+    const originals = _getOriginalPerformance();
+    if (Object.prototype.hasOwnProperty.call(originals, key)) return;
+    originals[key] = { value, recordedAt: Date.now() };
+    Promise.resolve(game.settings.set(MODULE_ID, 'originalPerformance', { ...originals })).catch((e) => {
+      console.warn(`${MODULE_ID} | could not store original ${key}`, e);
+    });
+  }
+
+  async function _clearOriginalPerformance() {
+    _originalPerformance = {};
+    await game.settings.set(MODULE_ID, 'originalPerformance', {});
+  }
 
   function _raiseCoreMaxFPSCeiling(desired) {
     try {
@@ -21,6 +222,7 @@
       // Foundry versions vary: sometimes the setting uses range, sometimes the
       // underlying NumberField has min/max in its options.
       if (setting?.range && Number.isFinite(setting.range.max) && setting.range.max < d) {
+        _recordOriginalPerformance('core.maxFPS.range.max', setting.range.max);
         setting.range.max = d;
         changed = true;
       }
@@ -28,6 +230,7 @@
       const field = setting?.type;
       const opts = field?.options;
       if (opts && Number.isFinite(opts.max) && opts.max < d) {
+        _recordOriginalPerformance('core.maxFPS.options.max', opts.max);
         opts.max = d;
         changed = true;
       }
@@ -101,6 +304,34 @@
       });
     }
 
+    if (!_isSettingRegistered('chatRetentionRules')) {
+      game.settings.register(MODULE_ID, 'chatRetentionRules', {
+        name: 'Cleanup: Chat retention rules',
+        hint: 'Per-type retention periods. Edited from the optimizer window.',
+        scope: 'world',
+        config: false,
+        type: Array,
+        default: []
+      });
+    }
+
+    if (!_isSettingRegistered('chatArchiveMode')) {
+      game.settings.register(MODULE_ID, 'chatArchiveMode', {
+        name: 'Cleanup: Archive pruned chat',
+        hint: 'Before deleting, save pruned messages to a compendium or a downloadable transcript, grouped by scene and date. Startup and unattended scheduled runs always use the compendium.',
+        scope: 'world',
+        config: true,
+        type: String,
+        choices: {
+          none: 'Do not archive',
+          compendium: 'Compendium (journal per scene)',
+          json: 'Download JSON',
+          html: 'Download HTML transcript'
+        },
+        default: 'none'
+      });
+    }
+
     if (!_isSettingRegistered('doCleanupInactiveCombats')) {
       game.settings.register(MODULE_ID, 'doCleanupInactiveCombats', {
         name: 'Cleanup: Delete inactive combats',
@@ -112,10 +343,87 @@
       });
     }
 
+    if (!_isSettingRegistered('combatStaleDays')) {
+      game.settings.register(MODULE_ID, 'combatStaleDays', {
+        name: 'Cleanup: Stale combats (days)',
+        hint: 'Deletes started combats not updated for this many days. 0 disables this check.',
+        scope: 'world',
+        config: true,
+        type: Number,
+        default: 0
+      });
+    }
+
+    if (!_isSettingRegistered('doCleanupScenelessCombats')) {
+      game.settings.register(MODULE_ID, 'doCleanupScenelessCombats', {
+        name: 'Cleanup: Delete combats of deleted scenes',
+        hint: 'Deletes combats tied to a scene that no longer exists.',
+        scope: 'world',
+        config: true,
+        type: Boolean,
+        default: false
+      });
+    }
+
+    if (!_isSettingRegistered('doCleanupDefeatedCombats')) {
+      game.settings.register(MODULE_ID, 'doCleanupDefeatedCombats', {
+        name: 'Cleanup: Delete fully defeated combats',
+        hint: 'Deletes combats where every combatant is defeated.',
+        scope: 'world',
+        config: true,
+        type: Boolean,
+        default: false
+      });
+    }
+
+    if (!_isSettingRegistered('doCleanupTokenlessCombats')) {
+      game.settings.register(MODULE_ID, 'doCleanupTokenlessCombats', {
+        name: 'Cleanup: Delete combats without tokens',
+        hint: 'Deletes combats whose combatant tokens no longer exist.',
+        scope: 'world',
+        config: true,
+        type: Boolean,
+        default: false
+      });
+    }
+
+    if (!_isSettingRegistered('doCleanupFogDeletedUsers')) {
+      game.settings.register(MODULE_ID, 'doCleanupFogDeletedUsers', {
+        name: 'Cleanup: Delete fog of deleted users',
+        hint: 'Deletes fog exploration records of users that no longer exist.',
+        scope: 'world',
+        config: true,
+        type: Boolean,
+        default: false
+      });
+    }
+
+    if (!_isSettingRegistered('doCleanupFogDeletedScenes')) {
+      game.settings.register(MODULE_ID, 'doCleanupFogDeletedScenes', {
+        name: 'Cleanup: Delete fog of deleted scenes',
+        hint: 'Deletes fog exploration records of scenes that no longer exist.',
+        scope: 'world',
+        config: true,
+        type: Boolean,
+        default: false
+      });
+    }
+
+    if (!_isSettingRegistered('fogStaleDays')) {
+      game.settings.register(MODULE_ID, 'fogStaleDays', {
+        name: 'Cleanup: Stale fog (days)',
+        hint: 'Deletes fog exploration not updated for this many days. 0 disables this check.',
+        scope: 'world',
+        config: true,
+        type: Number,
+        default: 0
+      });
+    }
+
     if (!_isSettingRegistered('doRebuildCompendiumIndexes')) {
       game.settings.register(MODULE_ID, 'doRebuildCompendiumIndexes', {
         name: 'Compendiums: Rebuild indexes',
-        hint: 'Warms/rebuilds all compendium indexes.',
+        hint: 'Warms/rebuilds all compendium indexes, timing each pack and reporting duplicate IDs and names.',
         scope: 'world',
         config: true,
         type: Boolean,
@@ -123,6 +431,28 @@
       });
     }
 
+    if (!_isSettingRegistered('doValidateCompendiumDocuments')) {
+      game.settings.register(MODULE_ID, 'doValidateCompendiumDocuments', {
+        name: 'Compendiums: Validate documents',
+        hint: 'Load every compendium document and count those that fail data model validation. Slow on large packs.',
+        scope: 'world',
+        config: true,
+        type: Boolean,
+        default: false
+      });
+    }
+
+    if (!_isSettingRegistered('doMigrateCompendiums')) {
+      game.settings.register(MODULE_ID, 'doMigrateCompendiums', {
+        name: 'Compendiums: Migrate world packs',
+        hint: 'Run the core migration on unlocked world compendiums so their data matches the current version.',
+        scope: 'world',
+        config: true,
+        type: Boolean,
+        default: false
+      });
+    }
+
     if (!_isSettingRegistered('doCorePerformanceTweaks')) {
       game.settings.register(MODULE_ID, 'doCorePerformanceTweaks', {
         name: 'Performance: Apply core tweaks',
@@ -134,416 +464,4697 @@
       });
     }
 
-    // Back-compat: if you previously used/expect optimizeOnStartup, keep it.
-    if (!_isSettingRegistered('optimizeOnStartup')) {
-      game.settings.register(MODULE_ID, 'optimizeOnStartup', {
-        name: 'Auto-run on startup',
-        hint: 'Run the optimizer automatically when the world loads (GM only).',
+    if (!_isSettingRegistered('doExtractInlineImages')) {
+      game.settings.register(MODULE_ID, 'doExtractInlineImages', {
+        name: 'Cleanup: Extract inline base64 images',
+        hint: 'Writes data: URI images embedded in documents out to files and points the fields at the new files.',
         scope: 'world',
         config: true,
         type: Boolean,
         default: false
       });
     }
-  }
-
-function formatBytes(bytes) {
-  if (!Number.isFinite(bytes) || bytes <= 0) return '0 B';
-  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
-  const idx = Math.min(units.length - 1, Math.floor(Math.log(bytes) / Math.log(1024)));
-  const value = bytes / Math.pow(1024, idx);
-  return `${value.toFixed(value >= 10 || idx === 0 ? 0 : 1)} ${units[idx]}`;
-}
-
-function nowISO() {
-  const d = new Date();
-  const pad = (n) => String(n).padStart(2, '0');
-  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
-}
-
-class RNKSystemOptimizerService {
-  constructor({ logFn } = {}) {
-    this._logFn = typeof logFn === 'function' ? logFn : null;
-  }
 
-  log(message) {
-    const line = `[${nowISO()}] ${message}`;
-    if (this._logFn) this._logFn(line);
-    console.log(`${MODULE_ID} | ${message}`);
-  }
-
-  async dryRun(options) {
-    const report = {
-      cleanup: { chat: { enabled: !!options.doCleanupChat, wouldDelete: 0, olderThan: null }, combats: { enabled: !!options.doCleanupInactiveCombats, wouldDelete: 0 } },
-      compendiums: { enabled: !!options.doRebuildCompendiumIndexes, packs: 0 },
-      performance: { enabled: !!options.doCorePerformanceTweaks, changes: [] },
-      notes: []
-    };
-
-    if (options.doCleanupChat) {
-      const days = Number(options.chatRetentionDays) || 30;
-      const cutoff = Date.now() - (days * 24 * 60 * 60 * 1000);
-      report.cleanup.chat.olderThan = new Date(cutoff).toISOString();
-
-      try {
-        // Foundry chat collection can be huge; filter on in-memory docs but avoid iterating message content.
-        const docs = game.messages?.contents ?? [];
-        report.cleanup.chat.wouldDelete = docs.reduce((acc, msg) => {
-          const ts = msg?.timestamp ?? 0;
-          return acc + (ts > 0 && ts < cutoff ? 1 : 0);
-        }, 0);
-      } catch (e) {
-        report.notes.push('Could not count old chat messages (permissions or collection unavailable).');
-      }
+    if (!_isSettingRegistered('inlineImageFolder')) {
+      game.settings.register(MODULE_ID, 'inlineImageFolder', {
+        name: 'Cleanup: Extracted image folder',
+        hint: 'Data folder for extracted images. Leave empty for worlds/<world>/inline-images.',
+        scope: 'world',
+        config: true,
+        type: String,
+        default: ''
+      });
     }
 
-    if (options.doCleanupInactiveCombats) {
-      try {
-        const combats = game.combats?.contents ?? [];
-        report.cleanup.combats.wouldDelete = combats.reduce((acc, c) => {
-          const isActive = !!c?.started;
-          const hasTurns = Array.isArray(c?.turns) ? c.turns.length > 0 : false;
-          // Conservative: delete only combats that are not started and have no turns.
-          return acc + (!isActive && !hasTurns ? 1 : 0);
-        }, 0);
-      } catch (e) {
-        report.notes.push('Could not count inactive combats.');
-      }
+    if (!_isSettingRegistered('doScrubModuleFlags')) {
+      game.settings.register(MODULE_ID, 'doScrubModuleFlags', {
+        name: 'Cleanup: Scrub flags of removed modules',
+        hint: 'Reports flag namespaces of modules that are not installed or not active. Only namespaces selected in the optimizer window are removed.',
+        scope: 'world',
+        config: true,
+        type: Boolean,
+        default: false
+      });
     }
 
-    if (options.doRebuildCompendiumIndexes) {
-      try {
-        report.compendiums.packs = Array.from(game.packs?.values?.() ?? []).length;
-      } catch (e) {
-        report.notes.push('Could not enumerate compendium packs.');
-      }
+    if (!_isSettingRegistered('doPruneOrphanSettings')) {
+      game.settings.register(MODULE_ID, 'doPruneOrphanSettings', {
+        name: 'Cleanup: Prune settings of removed modules',
+        hint: 'Reports world settings whose namespace matches no installed module. Only settings selected in the optimizer window are deleted.',
+        scope: 'world',
+        config: true,
+        type: Boolean,
+        default: false
+      });
     }
 
-    if (options.doCorePerformanceTweaks) {
-      report.performance.changes = this._previewCorePerformanceChanges();
+    if (!_isSettingRegistered('originalPerformance')) {
+      game.settings.register(MODULE_ID, 'originalPerformance', {
+        name: 'Performance: Original values',
+        scope: 'client',
+        config: false,
+        type: Object,
+        default: {}
+      });
     }
 
-    return report;
-  }
-
-  _previewCorePerformanceChanges() {
-    const changes = [];
-
-    const maxFPSKey = game.settings.settings?.get('core.maxFPS') ? 'core.maxFPS' : null;
-    if (maxFPSKey) {
-      const current = game.settings.get('core', 'maxFPS');
-      // Do not cap FPS. Raise the ceiling if the core setting allows it.
-      // Note: Some Foundry builds cap core.maxFPS at 60 via setting range/choices.
-      const desired = 120;
-      const s = game.settings.settings.get('core.maxFPS');
-      let maxAllowed = desired;
-      if (s?.range && Number.isFinite(s.range.max)) {
-        maxAllowed = Math.min(maxAllowed, Number(s.range.max));
-      }
-      const choiceNums = Object.keys(s?.choices ?? {}).map(k => Number(k)).filter(n => Number.isFinite(n));
-      if (choiceNums.length) {
-        maxAllowed = Math.min(maxAllowed, Math.max(...choiceNums));
-      }
-      const next = maxAllowed;
-      if (typeof current === 'number' && current < next) changes.push({ setting: 'core.maxFPS', from: current, to: next });
+    if (!_isSettingRegistered('profilerWindowSeconds')) {
+      game.settings.register(MODULE_ID, 'profilerWindowSeconds', {
+        name: 'Profiler: Window (seconds)',
+        hint: 'How long the frame-time profiler records.',
+        scope: 'world',
+        config: true,
+        type: Number,
+        default: 10,
+        range: { min: 2, max: 120, step: 1 }
+      });
     }
 
-    const softShadowsKey = game.settings.settings?.get('core.softShadows') ? 'core.softShadows' : null;
-    if (softShadowsKey) {
-      const current = game.settings.get('core', 'softShadows');
-      const next = false;
-      if (typeof current === 'boolean' && current !== next) changes.push({ setting: 'core.softShadows', from: current, to: next });
+    if (!_isSettingRegistered('profilerMotion')) {
+      game.settings.register(MODULE_ID, 'profilerMotion', {
+        name: 'Profiler: Canvas motion',
+        hint: 'Pan or zoom the canvas while profiling to expose movement stutter.',
+        scope: 'world',
+        config: true,
+        type: String,
+        choices: { none: 'None', pan: 'Pan', zoom: 'Zoom' },
+        default: 'none'
+      });
     }
 
-    return changes;
-  }
+    if (!_isSettingRegistered('profilerCompareRun')) {
+      game.settings.register(MODULE_ID, 'profilerCompareRun', {
+        name: 'Profiler: Compare around Optimize Now',
+        hint: 'Profile frames before and after a manual optimization run.',
+        scope: 'world',
+        config: true,
+        type: Boolean,
+        default: false
+      });
+    }
 
-  async optimize(options, { dryRun = false } = {}) {
-    if (!game.user?.isGM) {
-      throw new Error('Optimizer requires GM permissions.');
+    if (!_isSettingRegistered('hookProfilerAttribution')) {
+      game.settings.register(MODULE_ID, 'hookProfilerAttribution', {
+        name: 'Hook profiler: Attribute handlers to modules',
+        hint: 'Record which module registers each hook handler so profiling can group timings by module. Handlers registered before this module loads stay unattributed.',
+        scope: 'client',
+        config: true,
+        type: Boolean,
+        default: false,
+        requiresReload: true
+      });
     }
 
-    const report = await this.dryRun(options);
-    if (dryRun) return report;
+    if (!_isSettingRegistered('textureMaxResolution')) {
+      game.settings.register(MODULE_ID, 'textureMaxResolution', {
+        name: 'Textures: Maximum resolution',
+        hint: 'Scene backgrounds and tiles with a longer edge than this (px) are flagged by the texture inspector.',
+        scope: 'world',
+        config: true,
+        type: Number,
+        default: 4096,
+        range: { min: 512, max: 16384, step: 256 }
+      });
+    }
 
-    const t0 = performance.now();
-    this.log('Optimization started');
+    if (!_isSettingRegistered('unusedAssetFolders')) {
+      game.settings.register(MODULE_ID, 'unusedAssetFolders', {
+        name: 'Assets: Folders to scan',
+        hint: 'Comma-separated data folders for the unused asset report. Empty scans this world\'s folder.',
+        scope: 'world',
+        config: true,
+        type: String,
+        default: ''
+      });
+    }
 
-    if (options.doCleanupChat) {
-      await this._cleanupChat(options, report);
+    if (!_isSettingRegistered('loadHistorySize')) {
+      game.settings.register(MODULE_ID, 'loadHistorySize', {
+        name: 'Startup: Loads to keep',
+        hint: 'How many world loads of timing history this browser keeps.',
+        scope: 'client',
+        config: true,
+        type: Number,
+        default: 10,
+        range: { min: 1, max: 50, step: 1 }
+      });
     }
 
-    if (options.doCleanupInactiveCombats) {
-      await this._cleanupCombats(report);
+    if (!_isSettingRegistered('loadHistory')) {
+      game.settings.register(MODULE_ID, 'loadHistory', {
+        name: 'Startup: History',
+        scope: 'client',
+        config: false,
+        type: Array,
+        default: []
+      });
     }
 
-    if (options.doRebuildCompendiumIndexes) {
-      await this._rebuildCompendiumIndexes(report);
+    if (!_isSettingRegistered('doAnalyzeDatabase')) {
+      game.settings.register(MODULE_ID, 'doAnalyzeDatabase', {
+        name: 'Analysis: Database size breakdown',
+        hint: 'During a dry run, serialize every world document and report sizes per collection and the largest documents.',
+        scope: 'world',
+        config: true,
+        type: Boolean,
+        default: false
+      });
     }
 
-    if (options.doCorePerformanceTweaks) {
-      await this._applyCorePerformanceTweaks(report);
+    if (!_isSettingRegistered('doIntegrityScan')) {
+      game.settings.register(MODULE_ID, 'doIntegrityScan', {
+        name: 'Analysis: Integrity scan',
+        hint: 'During a dry run, report broken references (missing actors, tokens, users, folders and @UUID links).',
+        scope: 'world',
+        config: true,
+        type: Boolean,
+        default: false
+      });
     }
 
-    // Record an observed RAF FPS on the client to help diagnose "stuck at 60" complaints.
+    if (!_isSettingRegistered('doSceneAudit')) {
+      game.settings.register(MODULE_ID, 'doSceneAudit', {
+        name: 'Analysis: Scene audit',
+        hint: 'During a dry run, score every scene by complexity and find degenerate, duplicate and mergeable walls.',
+        scope: 'world',
+        config: true,
+        type: Boolean,
+        default: false
+      });
+    }
+
+    if (!_isSettingRegistered('doValidateDocuments')) {
+      game.settings.register(MODULE_ID, 'doValidateDocuments', {
+        name: 'Analysis: Data model validation',
+        hint: 'During a dry run, validate every world document against its data model and list invalid and obsolete fields.',
+        scope: 'world',
+        config: true,
+        type: Boolean,
+        default: false
+      });
+    }
+
+    if (!_isSettingRegistered('doFindDuplicates')) {
+      game.settings.register(MODULE_ID, 'doFindDuplicates', {
+        name: 'Analysis: Duplicate finder',
+        hint: 'During a dry run, group actors, items and journal entries that are identical apart from IDs, sort order and timestamps.',
+        scope: 'world',
+        config: true,
+        type: Boolean,
+        default: false
+      });
+    }
+
+    if (!_isSettingRegistered('doCheckMediaPaths')) {
+      game.settings.register(MODULE_ID, 'doCheckMediaPaths', {
+        name: 'Analysis: Broken media paths',
+        hint: 'During a dry run, check every image, audio and video path used by world documents against the server. Files are never deleted.',
+        scope: 'world',
+        config: true,
+        type: Boolean,
+        default: false
+      });
+    }
+
+    if (!_isSettingRegistered('analysisTopN')) {
+      game.settings.register(MODULE_ID, 'analysisTopN', {
+        name: 'Analysis: Largest documents to list',
+        hint: 'How many of the largest documents the size breakdown shows.',
+        scope: 'world',
+        config: true,
+        type: Number,
+        default: 20
+      });
+    }
+
+    if (!_isSettingRegistered('doRecycleBin')) {
+      game.settings.register(MODULE_ID, 'doRecycleBin', {
+        name: 'Recycle Bin: Keep deleted documents',
+        hint: 'Snapshot everything the optimizer deletes into a GM-only compendium so a run can be restored from the optimizer window.',
+        scope: 'world',
+        config: true,
+        type: Boolean,
+        default: true
+      });
+    }
+
+    if (!_isSettingRegistered('recycleBinRetentionDays')) {
+      game.settings.register(MODULE_ID, 'recycleBinRetentionDays', {
+        name: 'Recycle Bin: Keep snapshots (days)',
+        hint: 'Snapshots older than this are discarded automatically. 0 keeps them until deleted by hand.',
+        scope: 'world',
+        config: true,
+        type: Number,
+        default: 14
+      });
+    }
+
+    if (!_isSettingRegistered('profiles')) {
+      game.settings.register(MODULE_ID, 'profiles', {
+        name: 'Profiles: Saved profiles',
+        scope: 'world',
+        config: false,
+        type: Object,
+        default: {}
+      });
+    }
+
+    if (!_isSettingRegistered('activeProfile')) {
+      game.settings.register(MODULE_ID, 'activeProfile', {
+        name: 'Profiles: Last applied profile',
+        scope: 'world',
+        config: false,
+        type: String,
+        default: ''
+      });
+    }
+
+    if (!_isSettingRegistered('scheduleMode')) {
+      game.settings.register(MODULE_ID, 'scheduleMode', {
+        name: 'Schedule: Run optimizer',
+        hint: 'Run the optimizer every N days or every Nth session. A session is one launch of the world; reloads, reconnects and additional GMs do not count. Ignored while "Auto-run on startup" is on.',
+        scope: 'world',
+        config: true,
+        type: String,
+        choices: { off: 'Off', days: 'Every N days', sessions: 'Every Nth session' },
+        default: 'off'
+      });
+    }
+
+    if (!_isSettingRegistered('scheduleInterval')) {
+      game.settings.register(MODULE_ID, 'scheduleInterval', {
+        name: 'Schedule: Interval (N)',
+        hint: 'Days or sessions between scheduled runs.',
+        scope: 'world',
+        config: true,
+        type: Number,
+        default: 7
+      });
+    }
+
+    if (!_isSettingRegistered('scheduleUnattended')) {
+      game.settings.register(MODULE_ID, 'scheduleUnattended', {
+        name: 'Schedule: Unattended mode',
+        hint: 'Run scheduled optimizations without the dry-run confirmation.',
+        scope: 'world',
+        config: true,
+        type: Boolean,
+        default: false
+      });
+    }
+
+    if (!_isSettingRegistered('scheduleState')) {
+      game.settings.register(MODULE_ID, 'scheduleState', {
+        name: 'Schedule: State',
+        scope: 'world',
+        config: false,
+        type: Object,
+        default: { lastRun: 0, sessionsSinceRun: 0, lastSession: null, lastSessionAt: 0, lastResult: null }
+      });
+    }
+
+    // Back-compat: if you previously used/expect optimizeOnStartup, keep it.
+    if (!_isSettingRegistered('optimizeOnStartup')) {
+      game.settings.register(MODULE_ID, 'optimizeOnStartup', {
+        name: 'Auto-run on startup',
+        hint: 'Run the optimizer automatically when the world loads (GM only).',
+        scope: 'world',
+        config: true,
+        type: Boolean,
+        default: false
+      });
+    }
+  }
+
+function formatBytes(bytes) {
+  if (!Number.isFinite(bytes) || bytes <= 0) return '0 B';
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  const idx = Math.min(units.length - 1, Math.floor(Math.log(bytes) / Math.log(1024)));
+  const value = bytes / Math.pow(1024, idx);
+  return `${value.toFixed(value >= 10 || idx === 0 ? 0 : 1)} ${units[idx]}`;
+}
+
+function nowISO() {
+  const d = new Date();
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
+}
+
+function readOptionsFromSettings() {
+  return Object.fromEntries(OPTION_KEYS.map(k => [k, game.settings.get(MODULE_ID, k)]));
+}
+
+function defaultOptions() {
+  return Object.fromEntries(OPTION_KEYS.map(k => [k, deepClone(game.settings.settings.get(`${MODULE_ID}.${k}`)?.default)]));
+}
+
+// Only option keys survive; anything else in a stored or imported profile is dropped.
+function sanitizeProfileOptions(options) {
+  const base = defaultOptions();
+  for (const k of OPTION_KEYS) {
+    if (options && Object.prototype.hasOwnProperty.call(options, k)) base[k] = deepClone(options[k]);
+  }
+  return base;
+}
+
+// The built-in presets stand in until the GM saves a profile of their own.
+function getProfiles() {
+  const stored = game.settings.get(MODULE_ID, 'profiles') ?? {};
+  if (Object.keys(stored).length) return stored;
+  return Object.fromEntries(Object.entries(PROFILE_PRESETS).map(([name, overrides]) => [name, sanitizeProfileOptions(overrides)]));
+}
+
+// Short human-readable lines for a dry-run or final report (chat whispers, confirmations).
+function reportSummaryLines(report, { applied = false } = {}) {
+  const lines = [];
+  const count = (section, done) => applied ? (section?.[done] ?? 0) : (section?.wouldDelete ?? 0);
+  const verb = applied ? 'deleted' : 'would delete';
+  if (report.cleanup?.chat?.enabled) lines.push(`Chat: ${verb} ${count(report.cleanup.chat, 'deleted')}`);
+  if (report.cleanup?.combats?.enabled) lines.push(`Combats: ${verb} ${count(report.cleanup.combats, 'deleted')}`);
+  if (report.cleanup?.fog?.enabled) lines.push(`Fog exploration: ${verb} ${count(report.cleanup.fog, 'deleted')}`);
+  if (report.settings?.enabled) lines.push(`Orphaned settings: ${verb} ${count(report.settings, 'deleted')}`);
+  if (report.flags?.enabled) lines.push(`Module flags: ${applied ? `scrubbed ${report.flags.scrubbed ?? 0}` : `${report.flags.namespaces.length} stale namespace(s)`}`);
+  if (report.inlineImages?.enabled) lines.push(`Inline images: ${applied ? `rewrote ${report.inlineImages.rewritten ?? 0}` : `${report.inlineImages.wouldRewrite} field(s)`}`);
+  if (report.compendiums?.enabled) lines.push(`Compendiums: ${applied ? `indexed ${report.compendiums.indexedPacks ?? 0}` : report.compendiums.packs} pack(s)${applied && report.compendiums.problems ? `, ${report.compendiums.problems} with problems` : ''}`);
+  if (report.performance?.enabled) lines.push(`Performance: ${applied ? (report.performance.applied?.length ?? 0) : (report.performance.changes?.length ?? 0)} core setting change(s)`);
+  if (report.integrity?.enabled) lines.push(`Integrity: ${report.integrity.findings.length} finding(s)`);
+  if (report.media?.enabled) lines.push(`Media: ${report.media.broken.length} broken path(s)`);
+  if (report.duplicates?.enabled) lines.push(`Duplicates: ${report.duplicates.groups.length} group(s)`);
+  if (report.validation?.enabled) lines.push(`Validation: ${report.validation.documents.length} document(s) with invalid or obsolete fields`);
+  if (report.recycleBin?.snapshots) lines.push(`Recycle Bin: ${report.recycleBin.snapshots} document(s) kept`);
+  return lines;
+}
+
+async function whisperToGMs(content) {
+  try {
+    const recipients = ChatMessage.getWhisperRecipients('GM').map(u => u.id);
+    await ChatMessage.create({ content, whisper: recipients, speaker: { alias: 'System Optimizer' } });
+  } catch (e) {
+    console.warn(`${MODULE_ID} | whisper failed`, e);
+  }
+}
+
+async function recordOptimizationRun(status, lines) {
+  const state = deepClone(game.settings.get(MODULE_ID, 'scheduleState') ?? {});
+  if (status === 'performed') {
+    state.lastRun = Date.now();
+    state.sessionsSinceRun = 0;
+  }
+  state.lastResult = { at: Date.now(), status, summary: lines };
+  await game.settings.set(MODULE_ID, 'scheduleState', state);
+}
+
+function formatDay(ts) {
+  const d = new Date(ts);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+function escapeHTML(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function saveFile(data, type, filename) {
+  const save = (globalThis.foundry?.utils?.saveDataToFile) ?? globalThis.saveDataToFile;
+  if (typeof save !== 'function') throw new Error('saveDataToFile is not available in this Foundry build.');
+  save(data, type, filename);
+}
+
+let _textEncoder = null;
+function approxBytes(value) {
+  const json = typeof value === 'string' ? value : JSON.stringify(value);
+  if (!json) return 0;
+  _textEncoder ??= new TextEncoder();
+  return _textEncoder.encode(json).length;
+}
+
+// Small non-cryptographic string hash (cyrb53), used for stable file names and fingerprints.
+function hashString(str) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < str.length; i++) {
+    const ch = str.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+}
+
+function deepClone(value) {
+  const clone = (globalThis.foundry?.utils?.deepClone) ?? globalThis.deepClone;
+  return clone(value);
+}
+
+function randomID() {
+  const make = (globalThis.foundry?.utils?.randomID) ?? globalThis.randomID;
+  return make();
+}
+
+function getDocumentClass(documentName) {
+  return globalThis.CONFIG?.[documentName]?.documentClass ?? globalThis.getDocumentClass?.(documentName) ?? null;
+}
+
+function getProperty(obj, path) {
+  const get = (globalThis.foundry?.utils?.getProperty) ?? globalThis.getProperty;
+  return get(obj, path);
+}
+
+function setProperty(obj, path, value) {
+  const set = (globalThis.foundry?.utils?.setProperty) ?? globalThis.setProperty;
+  return set(obj, path, value);
+}
+
+function diffObject(original, other) {
+  const diff = (globalThis.foundry?.utils?.diffObject) ?? globalThis.diffObject;
+  return diff(original, other);
+}
+
+function flattenObject(obj) {
+  const flatten = (globalThis.foundry?.utils?.flattenObject) ?? globalThis.flattenObject;
+  return flatten(obj);
+}
+
+function filePickerClass() {
+  return globalThis.foundry?.applications?.apps?.FilePicker?.implementation ?? globalThis.FilePicker;
+}
+
+// Yields a document followed by all of its embedded documents (tokens, items, pages...).
+function* walkDocuments(doc) {
+  if (!doc) return;
+  yield doc;
+  const embedded = doc.constructor?.metadata?.embedded ?? {};
+  for (const name of Object.keys(embedded)) {
+    let collection = null;
     try {
-      report.performance ??= {};
-      report.performance.rafFPS = await this._measureRAFFPS(1000);
-      this.log(`Performance: Observed RAF FPS ~ ${report.performance.rafFPS}`);
+      collection = doc.getEmbeddedCollection?.(name);
     } catch (_e) {
       // ignore
     }
+    for (const child of collection?.contents ?? []) yield* walkDocuments(child);
+  }
+}
 
-    const dt = performance.now() - t0;
-    this.log(`Optimization finished in ${Math.round(dt)}ms`);
-    return report;
+function* worldDocuments() {
+  for (const def of WORLD_COLLECTIONS) {
+    for (const doc of game[def.key]?.contents ?? []) yield* walkDocuments(doc);
   }
+}
 
-  async _measureRAFFPS(durationMs = 1000) {
-    if (typeof requestAnimationFrame !== 'function') return null;
-    const dur = Math.max(250, Number(durationMs) || 1000);
-    return await new Promise((resolve) => {
-      let frames = 0;
-      const t0 = performance.now();
-      const tick = (t) => {
-        frames++;
-        if (t - t0 >= dur) {
-          const fps = frames / ((t - t0) / 1000);
-          resolve(Math.round(fps * 10) / 10);
-          return;
-        }
-        requestAnimationFrame(tick);
-      };
+// Source data of a document without its embedded collections; those are walked separately.
+function ownSource(doc) {
+  const src = doc.toObject();
+  for (const field of Object.values(doc.constructor?.metadata?.embedded ?? {})) delete src[field];
+  return src;
+}
+
+function walkStrings(value, fn, path = '') {
+  if (typeof value === 'string') return fn(value, path);
+  if (!value || typeof value !== 'object') return;
+  for (const [k, v] of Object.entries(value)) walkStrings(v, fn, path ? `${path}.${k}` : k);
+}
+
+const INLINE_IMAGE_PATTERN = /data:image\/([a-zA-Z0-9.+-]+);base64,([A-Za-z0-9+/=]+)/g;
+
+function inlineImageExtension(type) {
+  const t = String(type).toLowerCase();
+  if (t === 'jpeg') return 'jpg';
+  if (t === 'svg+xml') return 'svg';
+  return t.replace(/[^a-z0-9]/g, '') || 'png';
+}
+
+const UUID_LINK_PATTERN = /@UUID\[([^\]]+)\](?:\{([^}]*)\})?/g;
+
+// Pre-UUID content links, e.g. @Actor[id]{label}.
+const LEGACY_LINK_PATTERN = /@(Actor|Item|JournalEntry)\[([a-zA-Z0-9]{16})\]/g;
+
+// Collections the duplicate finder compares, and what it ignores when it does. Near duplicates
+// may also differ in name suffix, image, ownership and flags, which a merge can safely drop.
+const DUPLICATE_COLLECTIONS = ['actors', 'items', 'journal'];
+const DUPLICATE_IGNORED_KEYS = new Set(['_id', 'sort', '_stats', 'folder']);
+const NEAR_DUPLICATE_IGNORED_KEYS = new Set([...DUPLICATE_IGNORED_KEYS, 'img', 'ownership', 'flags']);
+
+// Key-sorted JSON without ids, sort order or timestamps; embedded documents are ordered by content.
+function canonicalJSON(value, ignored = DUPLICATE_IGNORED_KEYS) {
+  if (Array.isArray(value)) {
+    const parts = value.map(v => canonicalJSON(v, ignored));
+    if (value.length && value.every(v => v && typeof v === 'object' && '_id' in v)) parts.sort();
+    return `[${parts.join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(k => !ignored.has(k)).sort();
+    return `{${keys.map(k => `${JSON.stringify(k)}:${canonicalJSON(value[k], ignored)}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+// "Goblin (1)", "Goblin (Copy)" and "Goblin copy" all compare as "goblin".
+function normalizedDocumentName(name) {
+  return String(name ?? '').trim().toLowerCase().replace(/\s*\((copy|\d+)\)$/, '').replace(/\s+copy$/, '');
+}
+
+// Best-effort: only reports false when we are sure the target is gone.
+function uuidResolves(uuid) {
+  if (!uuid || uuid.startsWith('.')) return true;
+  if (uuid.startsWith('Compendium.')) {
+    const parts = uuid.split('.');
+    const pack = game.packs?.get?.(`${parts[1]}.${parts[2]}`);
+    if (!pack) return false;
+    // v11+ form is Compendium.<pkg>.<pack>.<Type>.<id>; older links omit the type.
+    const id = parts.length >= 5 ? parts[4] : parts[3];
+    return !id || !pack.index?.size || pack.index.has(id);
+  }
+  try {
+    return !!fromUuidSync(uuid, { strict: false });
+  } catch (_e) {
+    return true;
+  }
+}
+
+const INTEGRITY_KINDS = {
+  tokenActor: 'Token without actor',
+  combatantToken: 'Combatant without token',
+  ownershipUser: 'Ownership of deleted user',
+  folderParent: 'Folder without parent',
+  uuidLink: 'Broken @UUID link'
+};
+
+// Comparable form of a media path: no origin, query or leading slash, URI-decoded.
+function normalizeMediaPath(src) {
+  let path = String(src ?? '').trim();
+  if (!path || path.startsWith('data:') || path.startsWith('blob:')) return '';
+  try {
+    const url = new URL(path, globalThis.location?.href ?? 'http://localhost/');
+    if (url.origin === globalThis.location?.origin) path = url.pathname;
+  } catch (_e) {
+    // not a URL; keep as-is
+  }
+  path = path.split(/[?#]/)[0].replace(/^\/+/, '');
+  try {
+    path = decodeURIComponent(path);
+  } catch (_e) {
+    // keep encoded
+  }
+  return path;
+}
+
+const MEDIA_PATH_PATTERN = /\.(a?png|jpe?g|webp|gif|svg|avif|bmp|tiff?|mp4|m4v|webm|ogv|ogg|oga|mp3|wav|flac|m4a|opus|aac|pdf)$/i;
+const HTML_SRC_PATTERN = /\bsrc=["']([^"']+)["']/g;
+
+// A whole-string field that looks like a file path, or src attributes inside HTML.
+function mediaPathsInString(value) {
+  const text = String(value ?? '').trim();
+  if (!text || text.startsWith('data:')) return [];
+  if (!/[<>\n]/.test(text)) return MEDIA_PATH_PATTERN.test(text.split(/[?#]/)[0]) ? [text] : [];
+  if (!text.includes('src=')) return [];
+  return Array.from(text.matchAll(HTML_SRC_PATTERN), m => m[1]).filter(src => !src.startsWith('data:'));
+}
+
+// Token images such as `tokens/goblin*.png` (randomImg) name a set of files, not one file.
+function isWildcardMediaPath(path) {
+  return String(path ?? '').includes('*');
+}
+
+function wildcardMediaPattern(path) {
+  const escaped = String(path).split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^/]*');
+  return new RegExp(`^${escaped}$`);
+}
+
+function isExternalMediaPath(path) {
+  if (!/^[a-z][a-z0-9+.-]*:\/\//i.test(path)) return false;
+  try {
+    return new URL(path).origin !== globalThis.location?.origin;
+  } catch (_e) {
+    return true;
+  }
+}
+
+function mediaRoute(path) {
+  if (/^[a-z][a-z0-9+.-]*:\/\//i.test(path)) return path;
+  const route = (globalThis.foundry?.utils?.getRoute) ?? globalThis.getRoute;
+  const clean = String(path).replace(/^\/+/, '');
+  return route ? route(clean) : `/${clean}`;
+}
+
+// Runs fn over items with at most `limit` in flight, keeping result order.
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(Math.max(1, limit), items.length) }, worker));
+  return results;
+}
+
+// Natural size of an image or video, read without creating a canvas texture for it.
+function mediaDimensions(src, { timeoutMs = 10000 } = {}) {
+  const isVideo = /\.(mp4|m4v|webm|ogv)$/i.test(normalizeMediaPath(src));
+  return new Promise((resolve) => {
+    const el = document.createElement(isVideo ? 'video' : 'img');
+    let timer = null;
+    const done = (dims) => {
+      clearTimeout(timer);
+      el.onload = el.onloadedmetadata = el.onerror = null;
+      if (isVideo) el.removeAttribute('src');
+      resolve(dims);
+    };
+    timer = setTimeout(() => done(null), timeoutMs);
+    el.onerror = () => done(null);
+    if (isVideo) {
+      el.preload = 'metadata';
+      el.onloadedmetadata = () => done({ width: el.videoWidth, height: el.videoHeight });
+    } else {
+      el.onload = () => done({ width: el.naturalWidth, height: el.naturalHeight });
+    }
+    el.src = src;
+  });
+}
+
+// Flag namespaces that are never offered for scrubbing, whatever their module state.
+function isProtectedFlagNamespace(ns) {
+  return ['core', 'world', 'exportSource', MODULE_ID, game.system?.id].includes(ns);
+}
+
+// Returns why a namespace is stale ('not installed' / 'inactive'), or null when it should be kept.
+function staleFlagNamespaceStatus(ns) {
+  if (isProtectedFlagNamespace(ns)) return null;
+  const mod = game.modules?.get?.(ns);
+  if (!mod) return 'not installed';
+  if (!mod.active) return 'inactive';
+  return null;
+}
+
+function documentLabel(doc, documentName) {
+  if (documentName === 'ChatMessage') {
+    const speaker = doc.alias ?? doc.speaker?.alias ?? 'Unknown';
+    const text = String(doc.content ?? '').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+    return `${formatDay(doc.timestamp)} ${speaker}: ${text.length > 60 ? `${text.slice(0, 60)}...` : text || '(no text)'}`;
+  }
+  if (documentName === 'Setting') return doc.key;
+  if (documentName === 'Combat') {
+    const scene = doc.scene?.name ?? 'no scene';
+    return `Combat on ${scene} (round ${doc.round ?? 0}, ${doc.combatants?.size ?? 0} combatants)`;
+  }
+  return doc.name ?? doc.id;
+}
+
+function chatRuleLabel(rule) {
+  const base = rule?.label || CHAT_RULE_MATCHES[rule?.match] || 'Rule';
+  return (!rule?.label && rule?.value) ? `${base}: ${rule.value}` : base;
+}
+
+function chatMessageMatchesRule(msg, rule) {
+  const styles = globalThis.CONST?.CHAT_MESSAGE_STYLES ?? globalThis.CONST?.CHAT_MESSAGE_TYPES ?? {};
+  // v12+ moved OOC/IC/EMOTE from `type` to `style`.
+  const style = msg.style ?? msg.type;
+  const value = String(rule?.value ?? '').trim().toLowerCase();
+
+  switch (rule?.match) {
+    case 'roll': return !!msg.isRoll;
+    case 'blind': return !!msg.blind;
+    case 'whisper': return (msg.whisper?.length ?? 0) > 0 && !msg.blind;
+    case 'ooc': return style === (styles.OOC ?? 1);
+    case 'ic': return style === (styles.IC ?? 2);
+    case 'emote': return style === (styles.EMOTE ?? 3);
+    case 'speaker': return !!value && String(msg.alias ?? msg.speaker?.alias ?? '').toLowerCase() === value;
+    case 'actor': {
+      const actorId = msg.speaker?.actor;
+      if (!value || !actorId) return false;
+      return actorId.toLowerCase() === value || String(game.actors?.get(actorId)?.name ?? '').toLowerCase() === value;
+    }
+    default: return false;
+  }
+}
+
+function isChatMessageKept(msg) {
+  const flags = msg?.flags?.[MODULE_ID];
+  return !!(flags?.keep || flags?.pinned);
+}
+
+function chatMessageArchiveHTML(msg) {
+  const time = new Date(msg.timestamp).toLocaleTimeString();
+  const speaker = msg.alias ?? msg.speaker?.alias ?? msg.author?.name ?? msg.user?.name ?? 'Unknown';
+  const whisper = (msg.whisper?.length ?? 0) > 0 ? ' <i>(whisper)</i>' : '';
+  const rolls = (msg.rolls ?? [])
+    .map(r => `<div class="rnk-chat-archive__roll">${escapeHTML(r?.formula)} = <b>${escapeHTML(r?.total)}</b></div>`)
+    .join('');
+  return `<div class="rnk-chat-archive__msg"><p><b>[${escapeHTML(time)}] ${escapeHTML(speaker)}</b>${whisper}</p>${msg.content ?? ''}${rolls}</div>`;
+}
+
+// --- Frame timing -----------------------------------------------------------
+
+// Records requestAnimationFrame deltas (ms) for the given duration.
+function recordFrameTimes(durationMs = 3000) {
+  if (typeof requestAnimationFrame !== 'function') return Promise.resolve([]);
+  const dur = Math.max(250, Number(durationMs) || 3000);
+  return new Promise((resolve) => {
+    const deltas = [];
+    let t0 = null;
+    let last = null;
+    const tick = (t) => {
+      if (t0 === null) t0 = t;
+      else deltas.push(t - last);
+      last = t;
+      if (t - t0 >= dur) return resolve(deltas);
       requestAnimationFrame(tick);
-    });
+    };
+    requestAnimationFrame(tick);
+  });
+}
+
+function _percentile(sorted, p) {
+  if (!sorted.length) return null;
+  const idx = Math.min(sorted.length - 1, Math.max(0, Math.ceil((p / 100) * sorted.length) - 1));
+  return sorted[idx];
+}
+
+function _summarizeFrameTimes(deltas) {
+  const list = (deltas ?? []).filter(Number.isFinite);
+  if (!list.length) return null;
+  const sorted = [...list].sort((a, b) => a - b);
+  const total = list.reduce((sum, d) => sum + d, 0);
+  const round = (n) => (Number.isFinite(n) ? Math.round(n * 10) / 10 : null);
+  return {
+    frames: list.length,
+    avgFps: round(1000 / (total / list.length)),
+    p50: round(_percentile(sorted, 50)),
+    p95: round(_percentile(sorted, 95)),
+    p99: round(_percentile(sorted, 99)),
+    max: round(sorted[sorted.length - 1])
+  };
+}
+
+// Average FPS over the slowest `fraction` of frames (the "1% low" for 0.01).
+function _lowFps(sorted, fraction) {
+  if (!sorted.length) return null;
+  const n = Math.max(1, Math.ceil(sorted.length * fraction));
+  const worst = sorted.slice(-n);
+  const avg = worst.reduce((sum, d) => sum + d, 0) / n;
+  return Math.round((1000 / avg) * 10) / 10;
+}
+
+function buildFrameProfile(deltas, startedAt = Date.now()) {
+  const summary = _summarizeFrameTimes(deltas);
+  if (!summary) return null;
+  const sorted = [...deltas].sort((a, b) => a - b);
+  summary.low1 = _lowFps(sorted, 0.01);
+  summary.low01 = _lowFps(sorted, 0.001);
+
+  const histogram = FRAME_HISTOGRAM_BUCKETS.map(b => ({ label: b.label, count: 0 }));
+  const longFrames = [];
+  let offset = 0;
+  for (const d of deltas) {
+    offset += d;
+    histogram[FRAME_HISTOGRAM_BUCKETS.findIndex(b => d < b.max)].count++;
+    if (d >= LONG_FRAME_MS) longFrames.push({ at: startedAt + offset, offsetMs: Math.round(offset), ms: Math.round(d * 10) / 10 });
+  }
+  return { startedAt, durationMs: Math.round(offset), summary, histogram, longFrames };
+}
+
+function _webglRenderer() {
+  try {
+    const gl = globalThis.canvas?.app?.renderer?.gl
+      ?? document.createElement('canvas').getContext('webgl2')
+      ?? document.createElement('canvas').getContext('webgl');
+    if (!gl) return null;
+    const ext = gl.getExtension('WEBGL_debug_renderer_info');
+    return String(ext ? gl.getParameter(ext.UNMASKED_RENDERER_WEBGL) : gl.getParameter(gl.RENDERER));
+  } catch (_e) {
+    return null;
+  }
+}
+
+// Measures this browser; runs on every client that answers a telemetry request.
+async function collectClientTelemetry(durationMs = 3000) {
+  const frames = _summarizeFrameTimes(await recordFrameTimes(durationMs));
+  const view = globalThis.canvas?.app?.renderer;
+  return {
+    frames,
+    heapUsed: performance.memory?.usedJSHeapSize ?? null,
+    heapLimit: performance.memory?.jsHeapSizeLimit ?? null,
+    renderer: _webglRenderer(),
+    resolution: view ? {
+      width: Math.round(view.screen?.width ?? view.width ?? 0),
+      height: Math.round(view.screen?.height ?? view.height ?? 0),
+      scale: view.resolution ?? globalThis.devicePixelRatio ?? 1
+    } : null,
+    scene: globalThis.canvas?.scene?.name ?? null
+  };
+}
+
+// --- Socket: GM -> client requests with per-user replies -------------------
+
+const _socketHandlers = new Map();
+const _pendingRequests = new Map();
+
+function emitSocket(type, payload = {}) {
+  game.socket?.emit?.(SOCKET_NAME, { type, ...payload });
+}
+
+function _settlePendingResponse(requestId, userId, data) {
+  const pending = _pendingRequests.get(requestId);
+  // Only the users a request was sent to may answer it, and only once.
+  if (!pending?.expected.has(userId) || pending.responses.has(userId)) return;
+  pending.responses.set(userId, data);
+  try {
+    pending.onResponse?.(userId, data);
+  } catch (e) {
+    console.warn(`${MODULE_ID} | socket response callback failed`, e);
+  }
+  if ([...pending.expected].every(id => pending.responses.has(id))) pending.finish();
+}
+
+// Resolves with a Map of userId -> reply once everyone answered or the timeout passes.
+// Socket messages never echo back to the sender, so our own user is answered locally.
+function requestFromClients(type, payload, userIds, { timeoutMs = 30000, onResponse } = {}) {
+  const requestId = randomID();
+  const targets = Array.from(new Set(userIds));
+  return new Promise((resolve) => {
+    const responses = new Map();
+    let timer = null;
+    const finish = () => {
+      clearTimeout(timer);
+      _pendingRequests.delete(requestId);
+      resolve(responses);
+    };
+    timer = setTimeout(finish, timeoutMs);
+    _pendingRequests.set(requestId, { expected: new Set(targets), responses, onResponse, finish });
+    if (!targets.length) return finish();
+
+    const message = { type, requestId, targets, from: game.user.id, ...payload };
+    const remote = targets.filter(id => id !== game.user.id);
+    if (remote.length) emitSocket(type, { requestId, targets: remote, from: game.user.id, ...payload });
+    if (targets.includes(game.user.id)) {
+      _answerSocketRequest(message).then(data => _settlePendingResponse(requestId, game.user.id, data));
+    }
+  });
+}
+
+async function _answerSocketRequest(message) {
+  const handler = _socketHandlers.get(message.type);
+  if (!handler) return { error: `No handler for ${message.type}` };
+  try {
+    return await handler(message);
+  } catch (e) {
+    return { error: String(e?.message ?? e) };
+  }
+}
+
+// The server passes the emitting user's id; payload ids are only trusted when they agree with it.
+function handleSocketMessage(message, senderId) {
+  if (!message?.type) return;
+  const sender = game.users?.get(senderId ?? message.from);
+  if (!sender) return;
+  if (message.type === 'response') {
+    if (!message.targets?.includes?.(game.user?.id) || message.userId !== sender.id) return;
+    _settlePendingResponse(message.requestId, sender.id, message.data);
+    return;
+  }
+  if (message.from !== sender.id || !sender.isGM || !sender.active) return;
+  if (Array.isArray(message.targets) && !message.targets.includes(game.user?.id)) return;
+  if (!_socketHandlers.has(message.type)) return;
+
+  _answerSocketRequest(message).then((data) => {
+    // Replies (e.g. telemetry) are addressed to the requesting GM alone.
+    emitSocket('response', { requestId: message.requestId, targets: [sender.id], userId: game.user.id, data });
+  });
+}
+
+async function applyClientPreset(presetKey) {
+  const preset = CLIENT_PRESETS[presetKey];
+  if (!preset) throw new Error(`Unknown preset "${presetKey}".`);
+
+  const applied = [];
+  const skipped = [];
+  for (const [key, value] of Object.entries(preset.settings)) {
+    if (!game.settings.settings?.has?.(key)) {
+      skipped.push(key);
+      continue;
+    }
+    const [ns, ...rest] = key.split('.');
+    const setting = rest.join('.');
+    try {
+      if (key === 'core.maxFPS') _raiseCoreMaxFPSCeiling(value);
+      const current = game.settings.get(ns, setting);
+      if (current === value) continue;
+      // Shares the original-value record, so "Restore original performance settings" undoes presets too.
+      _recordOriginalPerformance(key, current);
+      await game.settings.set(ns, setting, value);
+      applied.push({ setting: key, from: current, to: value });
+    } catch (e) {
+      skipped.push(key);
+      console.warn(`${MODULE_ID} | preset could not set ${key}`, e);
+    }
+  }
+
+  if (globalThis.canvas?.app?.ticker && Number.isFinite(preset.settings['core.maxFPS'])) {
+    _recordOriginalPerformance('ticker.maxFPS', globalThis.canvas.app.ticker.maxFPS);
+    globalThis.canvas.app.ticker.maxFPS = preset.settings['core.maxFPS'];
+  }
+  return { applied, skipped };
+}
+
+_socketHandlers.set('presetOffer', async (message) => {
+  const preset = CLIENT_PRESETS[message.preset];
+  if (!preset) return { accepted: false, error: `Unknown preset "${message.preset}"` };
+
+  const from = game.users?.get(message.from)?.name ?? 'The GM';
+  const rows = Object.entries(preset.settings)
+    .filter(([key]) => game.settings.settings?.has?.(key))
+    .map(([key, value]) => `<li><code>${escapeHTML(key)}</code>: ${escapeHTML(value)}</li>`)
+    .join('');
+  const accepted = await Dialog.confirm({
+    title: 'Performance Preset',
+    content: `<p><b>${escapeHTML(from)}</b> recommends the <b>${escapeHTML(preset.label)}</b> performance preset for this computer:</p><ul>${rows}</ul><p>Apply it?</p>`
+  });
+  if (!accepted) return { accepted: false };
+
+  const result = await applyClientPreset(message.preset);
+  return { accepted: true, ...result };
+});
+
+_socketHandlers.set('telemetry', message => collectClientTelemetry(message.durationMs));
+
+// --- Hook handler profiler --------------------------------------------------
+
+const _hookOwners = new WeakMap();      // handler -> module id that registered it
+const _timedOriginals = new WeakMap();  // timed wrapper -> original handler
+const _timedWrappers = new WeakMap();   // original handler -> Map of hook name -> timed wrapper
+let _hookSession = null;
+
+// Maps a script URL to the package that serves it ('core' for Foundry itself).
+function _moduleIdFromUrl(url) {
+  const path = String(url ?? '');
+  const pkg = path.match(/\/(modules|systems)\/([^/?#]+)\//);
+  if (pkg) return pkg[1] === 'systems' ? `system:${pkg[2]}` : pkg[2];
+  if (/\/(scripts|client|common)\/|foundry\.(m?js)/.test(path)) return 'core';
+  return null;
+}
+
+// First package in a stack trace other than this module.
+function _moduleIdFromStack(stack) {
+  for (const url of String(stack ?? '').match(/(https?:|file:)\/\/[^\s)]+/g) ?? []) {
+    const id = _moduleIdFromUrl(url);
+    if (id && id !== MODULE_ID && id !== 'core') return id;
+  }
+  return null;
+}
+
+function _noteHookOwner(fn) {
+  if (typeof fn !== 'function' || _hookOwners.has(fn)) return;
+  _hookOwners.set(fn, _moduleIdFromStack(new Error().stack) ?? 'core');
+}
+
+// Client settings are not readable until init, so the opt-in is read straight from storage.
+function _hookAttributionEnabled() {
+  try {
+    return globalThis.localStorage?.getItem(`${MODULE_ID}.hookProfilerAttribution`) === 'true';
+  } catch (_e) {
+    return false;
+  }
+}
+
+function _installHookAttribution() {
+  const H = globalThis.Hooks;
+  if (!H || H.__rnkAttribution) return;
+  H.__rnkAttribution = true;
+  const on = H.on;
+  const once = H.once;
+  H.on = function (hook, fn, ...rest) {
+    _noteHookOwner(fn);
+    return on.call(this, hook, fn, ...rest);
+  };
+  H.once = function (hook, fn, ...rest) {
+    _noteHookOwner(fn);
+    return once.call(this, hook, fn, ...rest);
+  };
+}
+
+function _recordHookTiming(hook, moduleId, ms) {
+  const byModule = _hookSession.stats.get(hook) ?? new Map();
+  _hookSession.stats.set(hook, byModule);
+  const stat = byModule.get(moduleId) ?? { calls: 0, total: 0, max: 0 };
+  byModule.set(moduleId, stat);
+  stat.calls++;
+  stat.total += ms;
+  if (ms > stat.max) stat.max = ms;
+}
+
+// Only the synchronous part of async handlers is measured.
+// One wrapper per hook, so a handler registered on several hooks is timed under each of them.
+function _timedHandler(hook, fn) {
+  if (!_timedWrappers.has(fn)) _timedWrappers.set(fn, new Map());
+  const byHook = _timedWrappers.get(fn);
+  if (byHook.has(hook)) return byHook.get(hook);
+  const moduleId = _hookOwners.get(fn) ?? 'unattributed';
+  const wrapped = function (...args) {
+    const t0 = performance.now();
+    try {
+      return fn.apply(this, args);
+    } finally {
+      if (_hookSession) _recordHookTiming(hook, moduleId, performance.now() - t0);
+    }
+  };
+  _timedOriginals.set(wrapped, fn);
+  byHook.set(hook, wrapped);
+  return wrapped;
+}
+
+// Handlers are wrapped lazily the first time their hook fires during a session.
+function _wrapHookEntries(hook) {
+  if (!_hookSession || _hookSession.wrappedHooks.has(hook)) return;
+  _hookSession.wrappedHooks.add(hook);
+  for (const entry of Hooks.events?.[hook] ?? []) {
+    if (typeof entry?.fn !== 'function' || _timedOriginals.has(entry.fn)) continue;
+    entry.fn = _timedHandler(hook, entry.fn);
+  }
+}
+
+function startHookProfiling() {
+  if (_hookSession) return false;
+  const H = globalThis.Hooks;
+  const original = { call: H.call, callAll: H.callAll, on: H.on, off: H.off };
+  _hookSession = { startedAt: Date.now(), stats: new Map(), wrappedHooks: new Set(), original };
+
+  H.call = function (hook, ...args) {
+    _wrapHookEntries(hook);
+    return original.call.call(this, hook, ...args);
+  };
+  H.callAll = function (hook, ...args) {
+    _wrapHookEntries(hook);
+    return original.callAll.call(this, hook, ...args);
+  };
+  // Handlers added mid-session land on an already wrapped hook, so wrap them on arrival.
+  H.on = function (hook, fn, ...rest) {
+    _noteHookOwner(fn);
+    const id = original.on.call(this, hook, fn, ...rest);
+    if (_hookSession?.wrappedHooks.has(hook)) {
+      const entry = (H.events?.[hook] ?? []).find(e => e.fn === fn);
+      if (entry) entry.fn = _timedHandler(hook, fn);
+    }
+    return id;
+  };
+  // Hooks.off(hook, fn) compares by reference, so translate the original to its wrapper.
+  H.off = function (hook, fn) {
+    const wrapped = typeof fn === 'function' ? _timedWrappers.get(fn)?.get(hook) : null;
+    if (wrapped && (H.events?.[hook] ?? []).some(e => e.fn === wrapped)) return original.off.call(this, hook, wrapped);
+    return original.off.call(this, hook, fn);
+  };
+  return true;
+}
+
+function stopHookProfiling() {
+  const session = _hookSession;
+  if (!session) return null;
+  _hookSession = null;
+
+  const H = globalThis.Hooks;
+  Object.assign(H, session.original);
+  for (const entries of Object.values(H.events ?? {})) {
+    for (const entry of entries ?? []) {
+      const fn = _timedOriginals.get(entry?.fn);
+      if (fn) entry.fn = fn;
+    }
+  }
+
+  const modules = new Map();
+  const hooks = [];
+  for (const [hook, byModule] of session.stats) {
+    const h = { hook, calls: 0, total: 0, max: 0, worstModule: null };
+    for (const [moduleId, stat] of byModule) {
+      const m = modules.get(moduleId) ?? { module: moduleId, calls: 0, total: 0, max: 0, maxHook: null, hooks: 0 };
+      modules.set(moduleId, m);
+      m.calls += stat.calls;
+      m.total += stat.total;
+      m.hooks++;
+      if (stat.max > m.max) {
+        m.max = stat.max;
+        m.maxHook = hook;
+      }
+      h.calls += stat.calls;
+      h.total += stat.total;
+      if (stat.max > h.max) {
+        h.max = stat.max;
+        h.worstModule = moduleId;
+      }
+    }
+    hooks.push(h);
+  }
+
+  return {
+    startedAt: session.startedAt,
+    durationMs: Date.now() - session.startedAt,
+    modules: [...modules.values()].sort((a, b) => b.total - a.total),
+    hooks: hooks.sort((a, b) => b.total - a.total)
+  };
+}
+
+if (_hookAttributionEnabled()) _installHookAttribution();
+
+// --- Startup timing -----------------------------------------------------------
+
+const _loadMarks = { script: performance.now() };
+let _loadRecorded = false;
+
+// Without a larger buffer the browser stops recording after 250 resources.
+try {
+  performance.setResourceTimingBufferSize?.(2000);
+} catch (_e) {
+  // ignore
+}
+
+for (const phase of LOAD_PHASES) {
+  Hooks.once(phase, () => {
+    _loadMarks[phase] ??= performance.now();
+  });
+}
+
+// Script and stylesheet timings grouped by the package that serves them.
+function resourceTimingsByModule() {
+  const entries = performance.getEntriesByType?.('resource') ?? [];
+  const modules = new Map();
+  for (const e of entries) {
+    const isScript = /\.(m?js)(\?|$)/.test(e.name) || e.initiatorType === 'script';
+    const isStyle = /\.css(\?|$)/.test(e.name) || (e.initiatorType === 'link' && /css/.test(e.name));
+    if (!isScript && !isStyle) continue;
+    const id = _moduleIdFromUrl(e.name) ?? 'other';
+    const m = modules.get(id) ?? { module: id, files: 0, duration: 0, end: 0, bytes: 0 };
+    modules.set(id, m);
+    m.files++;
+    m.duration += Math.max(0, e.responseEnd - e.startTime);
+    m.end = Math.max(m.end, e.responseEnd);
+    m.bytes += e.transferSize || e.encodedBodySize || 0;
+  }
+  return [...modules.values()]
+    .map(m => ({ ...m, duration: Math.round(m.duration), end: Math.round(m.end) }))
+    .sort((a, b) => b.duration - a.duration);
+}
+
+// Runs once per page load, from `ready` once the initial scene (if any) has been drawn.
+async function recordLoadTiming() {
+  if (_loadRecorded) return;
+  _loadRecorded = true;
+  const marks = {};
+  for (const [phase, t] of Object.entries(_loadMarks)) marks[phase] = Math.round(t);
+  const entry = {
+    at: Date.now(),
+    world: game.world?.id ?? null,
+    marks,
+    modules: resourceTimingsByModule().slice(0, 40)
+  };
+  try {
+    const size = Math.max(1, Number(game.settings.get(MODULE_ID, 'loadHistorySize')) || 10);
+    const history = [entry, ...(game.settings.get(MODULE_ID, 'loadHistory') ?? [])].slice(0, size);
+    await game.settings.set(MODULE_ID, 'loadHistory', history);
+  } catch (e) {
+    console.warn(`${MODULE_ID} | could not store load timing`, e);
+  }
+}
+
+// Recycle Bin run summaries (without sources); cleared by everything that writes the pack.
+let _recycleRunsCache = null;
+
+class RNKSystemOptimizerService {
+  constructor({ logFn } = {}) {
+    this._logFn = typeof logFn === 'function' ? logFn : null;
+  }
+
+  log(message) {
+    const line = `[${nowISO()}] ${message}`;
+    if (this._logFn) this._logFn(line);
+    console.log(`${MODULE_ID} | ${message}`);
+  }
+
+  // Accepts an options object or the name of a saved profile.
+  resolveOptions(options) {
+    if (typeof options !== 'string') return options ?? readOptionsFromSettings();
+    const profile = getProfiles()[options];
+    if (!profile) throw new Error(`Unknown optimization profile "${options}".`);
+    return sanitizeProfileOptions(profile);
+  }
+
+  async dryRun(options) {
+    options = this.resolveOptions(options);
+    const report = {
+      cleanup: { chat: { enabled: !!options.doCleanupChat, wouldDelete: 0, olderThan: null, archive: options.chatArchiveMode || 'none' }, combats: { enabled: this._combatCriteria(options).length > 0, wouldDelete: 0 }, fog: { enabled: this._fogCriteria(options).length > 0, wouldDelete: 0 } },
+      compendiums: { enabled: !!options.doRebuildCompendiumIndexes, packs: 0 },
+      performance: { enabled: !!options.doCorePerformanceTweaks, changes: [] },
+      recycleBin: { enabled: options.doRecycleBin !== false, retentionDays: Number(options.recycleBinRetentionDays) || 0, snapshots: 0 },
+      notes: []
+    };
+
+    if (options.doCleanupChat) {
+      const days = Number(options.chatRetentionDays) || 30;
+      const cutoff = Date.now() - (days * 24 * 60 * 60 * 1000);
+      report.cleanup.chat.olderThan = new Date(cutoff).toISOString();
+
+      try {
+        // Foundry chat collection can be huge; filter on in-memory docs but avoid iterating message content.
+        const selection = this._selectChatForCleanup(options);
+        report.cleanup.chat.wouldDelete = selection.messages.length;
+        report.cleanup.chat.byRule = selection.byRule;
+        report.cleanup.chat.kept = selection.kept;
+      } catch (e) {
+        report.notes.push('Could not count old chat messages (permissions or collection unavailable).');
+      }
+    }
+
+    if (report.cleanup.combats.enabled) {
+      try {
+        const selection = this._selectCombatsForCleanup(options);
+        report.cleanup.combats.wouldDelete = selection.combats.length;
+        report.cleanup.combats.byCriterion = selection.byCriterion;
+      } catch (e) {
+        report.notes.push('Could not count inactive combats.');
+      }
+    }
+
+    if (report.cleanup.fog.enabled) {
+      try {
+        const selection = await this._selectFogForCleanup(options);
+        report.cleanup.fog.wouldDelete = selection.fog.length;
+        report.cleanup.fog.byCriterion = selection.byCriterion;
+        report.cleanup.fog.total = selection.total;
+      } catch (e) {
+        report.notes.push(`Could not count fog exploration records: ${e?.message ?? e}`);
+      }
+    }
+
+    if (options.doRebuildCompendiumIndexes) {
+      try {
+        report.compendiums.packs = Array.from(game.packs?.values?.() ?? []).length;
+      } catch (e) {
+        report.notes.push('Could not enumerate compendium packs.');
+      }
+    }
+
+    if (options.doCorePerformanceTweaks) {
+      report.performance.changes = this._previewCorePerformanceChanges();
+    }
+    report.performance.originals = this.describeOriginalPerformance();
+
+    if (options.doExtractInlineImages) {
+      try {
+        const findings = this._scanInlineImages();
+        report.inlineImages = {
+          enabled: true,
+          findings,
+          totalBytes: findings.reduce((acc, f) => acc + f.bytes, 0),
+          wouldRewrite: findings.length
+        };
+      } catch (e) {
+        report.notes.push(`Could not scan for inline images: ${e?.message ?? e}`);
+      }
+    }
+
+    if (options.doScrubModuleFlags) {
+      try {
+        const namespaces = this._scanStaleFlags();
+        const selected = new Set(options.scrubFlagNamespaces ?? []);
+        report.flags = {
+          enabled: true,
+          namespaces,
+          selected: namespaces.filter(n => selected.has(n.namespace)).map(n => n.namespace),
+          wouldScrub: namespaces.filter(n => selected.has(n.namespace)).reduce((acc, n) => acc + n.docs, 0)
+        };
+      } catch (e) {
+        report.notes.push(`Could not scan module flags: ${e?.message ?? e}`);
+      }
+    }
+
+    if (options.doPruneOrphanSettings) {
+      try {
+        const orphans = this._scanOrphanSettings();
+        const selected = new Set(options.pruneSettingKeys ?? []);
+        report.settings = {
+          enabled: true,
+          orphans,
+          selected: orphans.filter(o => selected.has(o.key)).map(o => o.key),
+          wouldDelete: orphans.filter(o => selected.has(o.key)).length
+        };
+      } catch (e) {
+        report.notes.push(`Could not scan world settings: ${e?.message ?? e}`);
+      }
+    }
+
+    if (options.doIntegrityScan) {
+      try {
+        report.integrity = { enabled: true, findings: this.scanIntegrity() };
+      } catch (e) {
+        report.notes.push(`Integrity scan failed: ${e?.message ?? e}`);
+      }
+    }
+
+    if (options.doSceneAudit) {
+      try {
+        report.analysis ??= {};
+        report.analysis.scenes = await this.auditScenes({ maxResolution: game.settings.get(MODULE_ID, 'textureMaxResolution') });
+      } catch (e) {
+        report.notes.push(`Scene audit failed: ${e?.message ?? e}`);
+      }
+    }
+
+    if (options.doValidateDocuments) {
+      try {
+        report.validation = { enabled: true, ...this.validateWorldDocuments() };
+      } catch (e) {
+        report.notes.push(`Data model validation failed: ${e?.message ?? e}`);
+      }
+    }
+
+    if (options.doFindDuplicates) {
+      try {
+        report.duplicates = { enabled: true, groups: this.findDuplicates() };
+      } catch (e) {
+        report.notes.push(`Duplicate finder failed: ${e?.message ?? e}`);
+      }
+    }
+
+    if (options.doCheckMediaPaths) {
+      try {
+        report.media = { enabled: true, ...(await this.checkMediaPaths()) };
+      } catch (e) {
+        report.notes.push(`Media path check failed: ${e?.message ?? e}`);
+      }
+    }
+
+    if (options.doAnalyzeDatabase) {
+      try {
+        report.analysis ??= {};
+        report.analysis.database = this.analyzeDatabase({ topN: options.analysisTopN });
+      } catch (e) {
+        report.notes.push(`Database analysis failed: ${e?.message ?? e}`);
+      }
+    }
+
+    return report;
+  }
+
+  // Documents that failed validation at load are kept aside by core; everything else is re-validated.
+  validateWorldDocuments() {
+    const documents = [];
+    let checked = 0;
+
+    for (const def of WORLD_COLLECTIONS) {
+      const collection = game[def.key];
+      for (const id of collection?.invalidDocumentIds ?? []) {
+        let doc = null;
+        try {
+          doc = collection.getInvalid(id, { strict: false });
+        } catch (_e) {
+          // ignore
+        }
+        checked++;
+        const entry = doc
+          ? this._validateDocument(doc)
+          : { uuid: `${def.documentName}.${id}`, name: id, documentName: def.documentName, failures: [{ path: '(document)', message: 'Could not load' }], obsolete: [] };
+        entry.invalidAtLoad = true;
+        entry.collection = def.key;
+        entry.id = id;
+        documents.push(entry);
+      }
+      for (const primary of collection?.contents ?? []) {
+        for (const doc of walkDocuments(primary)) {
+          checked++;
+          const entry = this._validateDocument(doc);
+          if (entry.failures.length || entry.obsolete.length) documents.push(entry);
+        }
+      }
+    }
+
+    // Grouped by type and field, with array indices and embedded ids folded together.
+    const groups = new Map();
+    for (const d of documents) {
+      for (const f of [...d.failures, ...d.obsolete.map(path => ({ path, obsolete: true }))]) {
+        const field = f.path.replace(/\.(\d+|[a-zA-Z0-9]{16})(?=\.|$)/g, '.*');
+        const key = `${d.documentName}|${field}|${f.obsolete ? 'obsolete' : 'invalid'}`;
+        const g = groups.get(key) ?? { documentName: d.documentName, field, kind: f.obsolete ? 'obsolete' : 'invalid', count: 0, example: f.message ?? '' };
+        groups.set(key, g);
+        g.count++;
+      }
+    }
+
+    const result = { checked, documents, groups: [...groups.values()].sort((a, b) => b.count - a.count) };
+    this.log(`Validation: Checked ${checked} document(s), ${documents.length} with invalid or obsolete fields`);
+    return result;
+  }
+
+  _validateDocument(doc) {
+    const cls = doc.constructor;
+    const source = ownSource(doc);
+    const entry = {
+      uuid: doc.uuid,
+      name: documentLabel(doc, doc.documentName),
+      documentName: doc.documentName,
+      failures: [],
+      obsolete: []
+    };
+
+    try {
+      doc.validate({ changes: source, clean: false, fallback: false, strict: true });
+    } catch (err) {
+      entry.failures = this._validationFailures(err);
+    }
+
+    // Keys that schema cleaning would drop are fields the data model no longer defines.
+    try {
+      const kept = new Set();
+      for (const path of Object.keys(flattenObject(cls.cleanData(deepClone(source))))) {
+        const parts = path.split('.');
+        for (let i = 1; i <= parts.length; i++) kept.add(parts.slice(0, i).join('.'));
+      }
+      entry.obsolete = Object.keys(flattenObject(source)).filter(path => !kept.has(path) && !path.startsWith('flags.'));
+    } catch (_e) {
+      // ignore
+    }
+    return entry;
+  }
+
+  _validationFailures(err) {
+    const all = err?.getAllFailures?.();
+    if (all && Object.keys(all).length) {
+      return Object.entries(all).map(([path, failure]) => ({ path, message: String(failure?.message ?? failure ?? 'invalid') }));
+    }
+    return [{ path: '(document)', message: String(err?.message ?? err) }];
+  }
+
+  _resolveValidationDocument(entry) {
+    if (entry.invalidAtLoad) return game[entry.collection]?.getInvalid?.(entry.id, { strict: false }) ?? null;
+    return globalThis.fromUuidSync?.(entry.uuid) ?? null;
+  }
+
+  // Cleaned values for coercible fields, initial values for invalid ones, removal of obsolete keys.
+  buildValidationRepair(entry) {
+    const doc = this._resolveValidationDocument(entry);
+    if (!doc) return null;
+    const cls = doc.constructor;
+    const source = ownSource(doc);
+    const update = {};
+    const changes = [];
+    const unfixable = [];
+
+    let cleaned = source;
+    try {
+      cleaned = cls.cleanData(deepClone(source));
+    } catch (_e) {
+      // ignore
+    }
+    const before = flattenObject(source);
+    const after = flattenObject(cleaned);
+    for (const [path, value] of Object.entries(after)) {
+      if (!(path in before) || JSON.stringify(before[path]) === JSON.stringify(value)) continue;
+      update[path] = value;
+      changes.push({ path, from: before[path], to: value });
+    }
+
+    for (const failure of entry.failures) {
+      if (failure.path in update) continue;
+      const field = cls.schema?.getField?.(failure.path);
+      const initial = field?.getInitialValue?.(source);
+      if (!field || initial === undefined) {
+        unfixable.push(failure.path);
+        continue;
+      }
+      update[failure.path] = initial;
+      changes.push({ path: failure.path, from: getProperty(source, failure.path), to: initial });
+    }
+
+    for (const path of entry.obsolete) {
+      const parts = path.split('.');
+      const key = parts.pop();
+      update[[...parts, `-=${key}`].join('.')] = null;
+      changes.push({ path, from: before[path], to: undefined });
+    }
+
+    return { doc, update, changes, unfixable };
+  }
+
+  async applyValidationRepair(repair) {
+    if (!game.user?.isGM) {
+      throw new Error('Optimizer requires GM permissions.');
+    }
+    if (!repair?.changes.length) return false;
+    await repair.doc.update(repair.update);
+    this.log(`Validation: Repaired ${repair.changes.length} field(s) on ${repair.doc.uuid}`);
+    return true;
+  }
+
+  // Exact groups share a canonical source hash; near groups share type and normalized name only.
+  findDuplicates() {
+    const references = this._documentReferences();
+    const groups = [];
+
+    for (const key of DUPLICATE_COLLECTIONS) {
+      const def = WORLD_COLLECTIONS.find(d => d.key === key);
+      const exact = new Map();
+      const near = new Map();
+      const similar = new Map();
+      for (const doc of game[key]?.contents ?? []) {
+        const source = doc.toObject();
+        const hash = hashString(canonicalJSON(source));
+        const nameKey = `${doc.type ?? ''}|${normalizedDocumentName(doc.name)}`;
+        const nearKey = `${nameKey}|${hashString(canonicalJSON({ ...source, name: null }, NEAR_DUPLICATE_IGNORED_KEYS))}`;
+        for (const [map, k] of [[exact, hash], [near, nearKey], [similar, nameKey]]) {
+          if (!map.has(k)) map.set(k, []);
+          map.get(k).push(doc);
+        }
+      }
+
+      const describe = (kind, docs) => {
+        const copies = docs.map(doc => ({
+          id: doc.id,
+          uuid: doc.uuid,
+          name: doc.name,
+          folder: doc.folder?.name ?? null,
+          created: doc._stats?.createdTime ?? 0,
+          references: references.get(doc.uuid)?.length ?? 0
+        }));
+        // Keep the most referenced copy, then the oldest.
+        const keep = [...copies].sort((a, b) => (b.references - a.references) || (a.created - b.created))[0];
+        // Same-named documents with different data are listed for review but never merged.
+        return { kind, mergeable: kind !== 'similar', documentName: def.documentName, collection: key, name: docs[0].name, keepId: keep.id, copies };
+      };
+
+      // Looser groups are only reported when they add a copy the stricter ones did not cover.
+      const grouped = new Set();
+      for (const [kind, map] of [['exact', exact], ['near', near], ['similar', similar]]) {
+        for (const docs of map.values()) {
+          if (docs.length < 2 || docs.every(d => grouped.has(d.id))) continue;
+          groups.push(describe(kind, docs));
+          for (const doc of docs) grouped.add(doc.id);
+        }
+      }
+    }
+
+    const count = (kind) => groups.filter(g => g.kind === kind).length;
+    this.log(`Duplicates: ${count('exact')} exact, ${count('near')} near and ${count('similar')} same-name group(s)`);
+    return groups;
+  }
+
+  // Target primary UUID -> places that point at it (tokens, combatants, map notes and content links).
+  _documentReferences() {
+    const refs = new Map();
+    const add = (target, ref) => {
+      if (!target) return;
+      if (!refs.has(target)) refs.set(target, []);
+      refs.get(target).push(ref);
+    };
+    const primary = (uuid) => (uuid && !uuid.startsWith('Compendium.') ? uuid.split('.').slice(0, 2).join('.') : null);
+
+    for (const scene of game.scenes ?? []) {
+      for (const token of scene.tokens ?? []) {
+        if (token._source?.actorId) add(`Actor.${token._source.actorId}`, { kind: 'token', uuid: token.uuid });
+      }
+      for (const note of scene.notes ?? []) {
+        if (note._source?.entryId) add(`JournalEntry.${note._source.entryId}`, { kind: 'note', uuid: note.uuid });
+      }
+    }
+    for (const combat of game.combats ?? []) {
+      for (const c of combat.combatants ?? []) {
+        if (c._source?.actorId) add(`Actor.${c._source.actorId}`, { kind: 'combatant', uuid: c.uuid });
+      }
+    }
+    for (const doc of worldDocuments()) {
+      walkStrings(ownSource(doc), (value) => {
+        if (!value.includes('@')) return;
+        for (const m of value.matchAll(UUID_LINK_PATTERN)) add(primary(m[1]), { kind: 'link', uuid: doc.uuid });
+        for (const m of value.matchAll(LEGACY_LINK_PATTERN)) add(`${m[1]}.${m[2]}`, { kind: 'link', uuid: doc.uuid });
+      });
+    }
+    return refs;
+  }
+
+  // Points every reference at the kept copy, snapshots the others to the Recycle Bin, then deletes them.
+  async mergeDuplicates(group, keepId) {
+    if (!game.user?.isGM) {
+      throw new Error('Optimizer requires GM permissions.');
+    }
+    if (group.mergeable === false) {
+      throw new Error(`${group.name} copies differ in their data and cannot be merged automatically.`);
+    }
+    const collection = game[group.collection];
+    const keep = collection?.get(keepId);
+    if (!keep) throw new Error(`${group.documentName} ${keepId} not found.`);
+    const others = group.copies.map(c => collection.get(c.id)).filter(d => d && d.id !== keepId);
+    if (!others.length) return { deleted: 0, updated: 0 };
+
+    const otherIds = new Set(others.map(d => d.id));
+    const byUuid = new Map(others.map(d => [d.uuid, d]));
+
+    // Embedded targets (pages, owned items) are matched to the kept copy by name and type.
+    const mapUuid = (uuid) => {
+      const parts = String(uuid).split('.');
+      const old = byUuid.get(parts.slice(0, 2).join('.'));
+      if (!old) return uuid;
+      if (parts.length < 4) return [keep.uuid, ...parts.slice(2)].join('.');
+      const child = old.getEmbeddedCollection?.(parts[2])?.get(parts[3]);
+      const match = child && keep.getEmbeddedCollection?.(parts[2])?.find(c => c.name === child.name && c.type === child.type);
+      return match ? `${keep.uuid}.${parts[2]}.${match.id}` : keep.uuid;
+    };
+
+    let updated = 0;
+    if (group.documentName === 'Actor') {
+      for (const scene of game.scenes ?? []) {
+        const updates = (scene.tokens?.contents ?? []).filter(t => otherIds.has(t._source?.actorId)).map(t => ({ _id: t.id, actorId: keepId }));
+        if (updates.length) await scene.updateEmbeddedDocuments('Token', updates);
+        updated += updates.length;
+      }
+      for (const combat of game.combats ?? []) {
+        const updates = (combat.combatants?.contents ?? []).filter(c => otherIds.has(c._source?.actorId)).map(c => ({ _id: c.id, actorId: keepId }));
+        if (updates.length) await combat.updateEmbeddedDocuments('Combatant', updates);
+        updated += updates.length;
+      }
+    }
+    if (group.documentName === 'JournalEntry') {
+      for (const scene of game.scenes ?? []) {
+        const updates = (scene.notes?.contents ?? []).filter(n => otherIds.has(n._source?.entryId)).map((n) => {
+          const mapped = mapUuid(`JournalEntry.${n._source.entryId}${n._source.pageId ? `.JournalEntryPage.${n._source.pageId}` : ''}`).split('.');
+          return { _id: n.id, entryId: keepId, pageId: mapped[3] ?? null };
+        });
+        if (updates.length) await scene.updateEmbeddedDocuments('Note', updates);
+        updated += updates.length;
+      }
+    }
+
+    for (const doc of worldDocuments()) {
+      if (byUuid.has(doc.uuid) || [...byUuid.keys()].some(u => doc.uuid.startsWith(`${u}.`))) continue;
+      const changed = await this._rewriteStrings(doc, value => value
+        .replace(UUID_LINK_PATTERN, (match, uuid, label) => {
+          const next = mapUuid(uuid);
+          return next === uuid ? match : `@UUID[${next}]${label !== undefined ? `{${label}}` : ''}`;
+        })
+        .replace(LEGACY_LINK_PATTERN, (match, type, id) => (type === group.documentName && otherIds.has(id) ? `@${type}[${keepId}]` : match)));
+      if (changed) updated++;
+    }
+
+    const report = { runId: randomID(), recycleBin: { enabled: game.settings.get(MODULE_ID, 'doRecycleBin') !== false, snapshots: 0 }, notes: [] };
+    if (!(await this._snapshotToRecycleBin(report, group.documentName, others))) {
+      throw new Error('Recycle Bin snapshot failed; duplicates were not deleted.');
+    }
+    await getDocumentClass(group.documentName).deleteDocuments([...otherIds]);
+    this.log(`Duplicates: Merged ${others.length} ${group.documentName} cop${others.length === 1 ? 'y' : 'ies'} into ${keep.name}, ${updated} reference(s) updated`);
+    return { deleted: others.length, updated, runId: report.recycleBin.snapshots ? report.runId : null };
+  }
+
+  // Normalized path -> { raw, uses } for every media path in world documents (embedded ones included).
+  collectMediaReferences() {
+    const paths = new Map();
+    for (const doc of worldDocuments()) {
+      walkStrings(ownSource(doc), (value, field) => {
+        for (const raw of mediaPathsInString(value)) {
+          const key = isExternalMediaPath(raw) ? raw : normalizeMediaPath(raw);
+          if (!key) continue;
+          const entry = paths.get(key) ?? { raw, uses: [] };
+          paths.set(key, entry);
+          entry.uses.push({ uuid: doc.uuid, name: documentLabel(doc, doc.documentName), documentName: doc.documentName, field });
+        }
+      });
+    }
+    return paths;
+  }
+
+  // HEAD requests only; external URLs are counted but not fetched (CORS would make them look broken).
+  async checkMediaPaths({ concurrency = 8 } = {}) {
+    const references = this.collectMediaReferences();
+    const local = [...references].filter(([key]) => !isExternalMediaPath(key));
+    this.log(`Media: Checking ${local.length} path(s) used by world documents`);
+
+    const statuses = await mapWithConcurrency(local, concurrency, async ([path, entry]) => {
+      if (isWildcardMediaPath(path)) {
+        return (await this._browseWildcard(path)).length ? null : 'no matching files';
+      }
+      try {
+        const res = await fetch(mediaRoute(entry.raw), { method: 'HEAD', cache: 'no-store' });
+        return res.ok ? null : (res.status === 404 ? 'missing' : `HTTP ${res.status}`);
+      } catch (e) {
+        return 'unreachable';
+      }
+    });
+
+    const broken = [];
+    local.forEach(([path, entry], i) => {
+      if (statuses[i]) broken.push({ path, status: statuses[i], uses: entry.uses });
+    });
+    broken.sort((a, b) => b.uses.length - a.uses.length);
+    const result = { checked: local.length, external: references.size - local.length, broken };
+    this.log(`Media: ${broken.length} missing or unreachable path(s), ${result.external} external URL(s) not checked`);
+    return result;
+  }
+
+  // Files a wildcard token image can pick from; core icons live in the public source.
+  async _browseWildcard(path) {
+    const FP = filePickerClass();
+    for (const source of ['data', 'public']) {
+      try {
+        const res = await FP.browse(source, path, { wildcard: true });
+        if (res?.files?.length) return res.files.map(normalizeMediaPath);
+      } catch (_e) {
+        // try the next source
+      }
+    }
+    return [];
+  }
+
+  // Everything the unused asset report treats as referenced: document paths, user avatars,
+  // world setting values and every path inside world compendium documents. Wildcard token
+  // paths are kept as-is; findUnusedAssets matches files against them. Packs that fail to load
+  // are skipped and listed in `skippedPacks`.
+  async _referencedAssetPaths() {
+    const paths = new Set(this.collectMediaReferences().keys());
+    const add = (value) => {
+      for (const raw of mediaPathsInString(value)) {
+        const key = normalizeMediaPath(raw);
+        if (key) paths.add(key);
+      }
+    };
+    for (const user of game.users ?? []) add(user.avatar);
+    for (const setting of game.settings?.storage?.get?.('world') ?? []) {
+      let value = setting.value;
+      try {
+        value = JSON.parse(value);
+      } catch (_e) {
+        // plain string
+      }
+      walkStrings(value, add);
+    }
+    const skippedPacks = [];
+    for (const pack of game.packs ?? []) {
+      if (pack.metadata?.packageType !== 'world') continue;
+      // Full documents, so embedded items, token textures and page content count too.
+      try {
+        const docs = await pack.getDocuments();
+        for (const doc of docs) walkStrings(doc.toObject(), add);
+      } catch (e) {
+        skippedPacks.push({ collection: pack.collection, error: String(e?.message ?? e) });
+      }
+    }
+    return { paths, skippedPacks };
+  }
+
+  // Report only: walks the given data folders and lists media files nothing references.
+  async findUnusedAssets(folders, { concurrency = 8, maxFiles = 20000 } = {}) {
+    if (!game.user?.isGM) {
+      throw new Error('Optimizer requires GM permissions.');
+    }
+    const FP = filePickerClass();
+    const worldDir = `worlds/${game.world?.id}`;
+    const roots = (folders?.length ? folders : [worldDir]).map(f => String(f).trim().replace(/^\/+|\/+$/g, '')).filter(Boolean);
+    // The world's database and compendium folders hold no assets.
+    const skip = new Set([`${worldDir}/data`, `${worldDir}/packs`]);
+
+    const { paths: referenced, skippedPacks } = await this._referencedAssetPaths();
+    const wildcards = [...referenced].filter(isWildcardMediaPath).map(wildcardMediaPattern);
+    const queue = [...roots];
+    const seen = new Set();
+    const files = [];
+    const errors = skippedPacks.map(p => `Could not load compendium ${p.collection}: ${p.error}`);
+    this.log(`Assets: Scanning ${roots.join(', ')}`);
+
+    while (queue.length && files.length < maxFiles) {
+      const dir = queue.shift();
+      if (seen.has(dir) || skip.has(dir)) continue;
+      seen.add(dir);
+      try {
+        const res = await FP.browse('data', dir);
+        for (const sub of res?.dirs ?? []) queue.push(normalizeMediaPath(sub));
+        for (const file of res?.files ?? []) {
+          const path = normalizeMediaPath(file);
+          if (MEDIA_PATH_PATTERN.test(path)) files.push(path);
+        }
+      } catch (e) {
+        errors.push(`Could not browse ${dir}: ${e?.message ?? e}`);
+      }
+    }
+
+    const isReferenced = path => referenced.has(path) || wildcards.some(pattern => pattern.test(path));
+    const unused = files.filter(path => !isReferenced(path)).map(path => ({ path, size: null }));
+    const sizes = await mapWithConcurrency(unused, concurrency, async ({ path }) => {
+      try {
+        const res = await fetch(mediaRoute(path), { method: 'HEAD', cache: 'no-store' });
+        const length = Number(res.headers.get('Content-Length'));
+        return res.ok && Number.isFinite(length) ? length : null;
+      } catch (_e) {
+        return null;
+      }
+    });
+    unused.forEach((u, i) => { u.size = sizes[i]; });
+
+    const byFolder = new Map();
+    for (const u of unused) {
+      const folder = u.path.includes('/') ? u.path.slice(0, u.path.lastIndexOf('/')) : '';
+      const f = byFolder.get(folder) ?? { folder, count: 0, bytes: 0 };
+      byFolder.set(folder, f);
+      f.count++;
+      f.bytes += u.size ?? 0;
+    }
+
+    const result = {
+      roots,
+      scannedAt: Date.now(),
+      files: files.length,
+      truncated: files.length >= maxFiles,
+      unused: unused.sort((a, b) => (b.size ?? 0) - (a.size ?? 0)),
+      folders: [...byFolder.values()].sort((a, b) => b.bytes - a.bytes),
+      totalBytes: unused.reduce((sum, u) => sum + (u.size ?? 0), 0),
+      errors,
+      skippedPacks: skippedPacks.map(p => p.collection)
+    };
+    this.log(`Assets: ${unused.length} of ${files.length} media file(s) unreferenced, ~${formatBytes(result.totalBytes)}`);
+    for (const error of errors) this.log(`Assets: ${error}`);
+    if (skippedPacks.length) this.log('Assets: Files used only by the skipped compendiums may be listed as unused');
+    return result;
+  }
+
+  // Moves paths inside the folder `from` to the folder `to` (whole fields and HTML src attributes).
+  // Paths are compared the way normalizeMediaPath sees them, so `/worlds/x` and URL-encoded
+  // forms match too, and `worlds/old` never touches `worlds/older`. Never touches files.
+  async replaceMediaPrefix(from, to, { dryRun = false } = {}) {
+    if (!game.user?.isGM) {
+      throw new Error('Optimizer requires GM permissions.');
+    }
+    const folder = (value) => {
+      const path = normalizeMediaPath(value).replace(/\/+$/, '');
+      return path ? `${path}/` : '';
+    };
+    const prefix = folder(from);
+    if (!prefix) throw new Error('A path prefix to replace is required.');
+    const replacement = folder(to);
+    const movePath = (path) => {
+      if (isExternalMediaPath(path)) return path;
+      const normalized = normalizeMediaPath(path);
+      if (!normalized.startsWith(prefix)) return path;
+      const moved = replacement + normalized.slice(prefix.length);
+      return /%[0-9a-f]{2}/i.test(path) ? encodeURI(moved) : moved;
+    };
+    const replacer = (value) => {
+      const paths = mediaPathsInString(value);
+      if (paths.length === 1 && paths[0] === value.trim()) return movePath(value.trim());
+      return paths.length ? value.replace(/(\bsrc=["'])([^"']+)/g, (m, lead, src) => `${lead}${movePath(src)}`) : value;
+    };
+
+    let documents = 0;
+    let fields = 0;
+    for (const doc of [...worldDocuments()]) {
+      let hits = 0;
+      walkStrings(ownSource(doc), (value) => {
+        if (replacer(value) !== value) hits++;
+      });
+      if (!hits) continue;
+      if (!dryRun) await this._rewriteStrings(doc, replacer);
+      documents++;
+      fields += hits;
+    }
+    this.log(`Media: ${dryRun ? 'Would rewrite' : 'Rewrote'} ${fields} field(s) in ${documents} document(s) from "${prefix}" to "${replacement}"`);
+    return { documents, fields, from: prefix, to: replacement };
+  }
+
+  async auditScenes({ maxResolution = 4096, concurrency = 4 } = {}) {
+    const max = Math.max(1, Number(maxResolution) || 4096);
+    const contents = game.scenes?.contents ?? [];
+    const backgrounds = await mapWithConcurrency(contents, concurrency, scene => this._sceneBackgroundSize(scene));
+    const scenes = contents.map((scene, i) => this._auditScene(scene, max, backgrounds[i]));
+    scenes.sort((a, b) => b.score - a.score);
+    this.log(`Scenes: Audited ${scenes.length} scene(s); ${scenes.filter(s => s.walls.fixable).length} with wall fixes available`);
+    return scenes;
+  }
+
+  // Size of the background file itself, which can differ from the scene's canvas dimensions.
+  async _sceneBackgroundSize(scene) {
+    const src = scene.background?.src ?? scene.img;
+    if (!src) return null;
+    const dims = await mediaDimensions(src);
+    return dims ? { src, ...dims } : { src, width: null, height: null };
+  }
+
+  _auditScene(scene, maxResolution, background = null) {
+    const size = (collection) => collection?.size ?? collection?.length ?? 0;
+    const lights = scene.lights?.contents ?? [];
+    const counts = {
+      walls: size(scene.walls),
+      lights: lights.length,
+      animatedLights: lights.filter(l => l.config?.animation?.type).length,
+      sounds: size(scene.sounds),
+      tokens: size(scene.tokens),
+      tiles: size(scene.tiles),
+      drawings: size(scene.drawings),
+      notes: size(scene.notes),
+      regions: size(scene.regions)
+    };
+    const width = Number(scene.width) || 0;
+    const height = Number(scene.height) || 0;
+    const gridSize = Number(scene.grid?.size ?? scene.grid) || 100;
+    const cells = Math.round((width / gridSize) * (height / gridSize));
+    const tokenVision = !!scene.tokenVision;
+    const fogExploration = !!(scene.fog?.exploration ?? scene.fogExploration);
+    const megapixels = Math.round((width * height) / 1e5) / 10;
+
+    const w = SCENE_COST_WEIGHTS;
+    const score = Math.round(
+      (counts.walls * w.walls) + (counts.lights * w.lights) + (counts.animatedLights * w.animatedLights)
+      + (counts.sounds * w.sounds) + (counts.tokens * w.tokens) + (counts.tiles * w.tiles)
+      + (counts.drawings * w.drawings) + (counts.notes * w.notes) + (counts.regions * w.regions)
+      + (megapixels * w.megapixels) + (tokenVision ? w.tokenVision : 0) + (fogExploration ? w.fogExploration : 0)
+    );
+
+    const walls = this._analyzeWalls(scene);
+    const suggestions = [];
+    const degenerate = walls.zeroLength.length + walls.duplicates.length;
+    if (degenerate) suggestions.push(`${counts.walls} walls, ${degenerate} are zero-length or duplicates`);
+    if (walls.merges.length) {
+      const merged = walls.merges.reduce((sum, m) => sum + m.deleteIds.length + 1, 0);
+      suggestions.push(`${merged} collinear wall segments can be merged into ${walls.merges.length}`);
+    }
+    if (Math.max(background?.width ?? 0, background?.height ?? 0) > maxResolution) {
+      suggestions.push(`Background image is ${background.width}×${background.height}; consider downscaling to ${maxResolution}px or less`);
+    }
+    if (counts.animatedLights > 10) suggestions.push(`${counts.animatedLights} animated lights redraw every frame; keep animation for the few that matter`);
+    if (counts.lights > 100) suggestions.push(`${counts.lights} light sources; merge overlapping lights or bake them into the background`);
+    if (counts.tiles > 200) suggestions.push(`${counts.tiles} tiles; flatten static decoration into the background`);
+    if (counts.tokens > 150) suggestions.push(`${counts.tokens} tokens; remove unused ones or move them to a staging scene`);
+    if (counts.walls > 2000) suggestions.push(`${counts.walls} walls make vision updates slow; simplify curved or detailed walls`);
+    if (cells > 40000) suggestions.push(`${cells.toLocaleString()} grid cells at ${gridSize}px; a larger grid size lightens grid and measurement work`);
+    if (fogExploration && !tokenVision) suggestions.push('Fog exploration is on but token vision is off, so fog is never revealed');
+
+    return {
+      id: scene.id,
+      uuid: scene.uuid,
+      name: scene.name,
+      active: !!scene.active,
+      counts,
+      width,
+      height,
+      background,
+      gridSize,
+      cells,
+      tokenVision,
+      fogExploration,
+      score,
+      walls: {
+        zeroLength: walls.zeroLength.length,
+        duplicates: walls.duplicates.length,
+        merges: walls.merges.length,
+        fixable: degenerate + walls.merges.length
+      },
+      suggestions
+    };
+  }
+
+  // Zero-length walls, exact duplicates and chains of collinear segments. Doors and one-way
+  // walls are never merged, and only walls with identical restrictions are combined.
+  _analyzeWalls(scene) {
+    const walls = scene.walls?.contents ?? [];
+    const signature = (w) => JSON.stringify([w.move, w.sight, w.light, w.sound, w.door, w.ds, w.dir, w.threshold ?? null]);
+    const zeroLength = [];
+    const duplicates = [];
+    const seen = new Map();
+    const live = [];
+
+    for (const wall of walls) {
+      const [x1, y1, x2, y2] = wall.c ?? [];
+      if (x1 === x2 && y1 === y2) {
+        zeroLength.push(wall.id);
+        continue;
+      }
+      const ends = [`${x1},${y1}`, `${x2},${y2}`].sort();
+      const key = `${ends.join('|')}|${signature(wall)}`;
+      if (seen.has(key)) {
+        duplicates.push(wall.id);
+        continue;
+      }
+      seen.set(key, wall);
+      live.push(wall);
+    }
+
+    // Endpoint -> walls touching it; a merge point must join exactly two eligible walls.
+    const byPoint = new Map();
+    for (const wall of live) {
+      const [x1, y1, x2, y2] = wall.c;
+      for (const p of [`${x1},${y1}`, `${x2},${y2}`]) {
+        if (!byPoint.has(p)) byPoint.set(p, []);
+        byPoint.get(p).push(wall);
+      }
+    }
+
+    const parent = new Map(live.map(w => [w.id, w.id]));
+    const find = (id) => {
+      while (parent.get(id) !== id) id = parent.get(id);
+      return id;
+    };
+    const eligible = (w) => !w.door && !w.dir;
+    for (const [point, touching] of byPoint) {
+      if (touching.length !== 2) continue;
+      const [a, b] = touching;
+      if (!eligible(a) || !eligible(b) || signature(a) !== signature(b)) continue;
+      const [px, py] = point.split(',').map(Number);
+      const other = (w) => (w.c[0] === px && w.c[1] === py ? [w.c[2], w.c[3]] : [w.c[0], w.c[1]]);
+      const [ax, ay] = other(a);
+      const [bx, by] = other(b);
+      const cross = ((ax - px) * (by - py)) - ((ay - py) * (bx - px));
+      const dot = ((ax - px) * (bx - px)) + ((ay - py) * (by - py));
+      if (cross !== 0 || dot >= 0) continue;
+      parent.set(find(a.id), find(b.id));
+    }
+
+    const groups = new Map();
+    for (const wall of live) {
+      const root = find(wall.id);
+      if (!groups.has(root)) groups.set(root, []);
+      groups.get(root).push(wall);
+    }
+
+    const merges = [];
+    for (const group of groups.values()) {
+      if (group.length < 2) continue;
+      const [x1, y1, x2, y2] = group[0].c;
+      const dx = x2 - x1;
+      const dy = y2 - y1;
+      const points = group.flatMap(w => [[w.c[0], w.c[1]], [w.c[2], w.c[3]]]);
+      const project = ([x, y]) => ((x - x1) * dx) + ((y - y1) * dy);
+      points.sort((p, q) => project(p) - project(q));
+      const start = points[0];
+      const end = points[points.length - 1];
+      merges.push({ keepId: group[0].id, c: [start[0], start[1], end[0], end[1]], deleteIds: group.slice(1).map(w => w.id) });
+    }
+
+    return { zeroLength, duplicates, merges };
+  }
+
+  async fixSceneWalls(sceneId) {
+    if (!game.user?.isGM) {
+      throw new Error('Optimizer requires GM permissions.');
+    }
+    const scene = game.scenes?.get(sceneId);
+    if (!scene) throw new Error(`Scene ${sceneId} not found.`);
+
+    const { zeroLength, duplicates, merges } = this._analyzeWalls(scene);
+    const updates = merges.map(m => ({ _id: m.keepId, c: m.c }));
+    const deleteIds = [...zeroLength, ...duplicates, ...merges.flatMap(m => m.deleteIds)];
+
+    // Removed walls go to the Recycle Bin; merged walls keep their (extended) survivor.
+    const report = { runId: randomID(), recycleBin: { enabled: game.settings.get(MODULE_ID, 'doRecycleBin') !== false, snapshots: 0 }, notes: [] };
+    const removed = deleteIds.map(id => scene.walls.get(id)).filter(Boolean);
+    if (!(await this._snapshotToRecycleBin(report, 'Wall', removed, { parent: scene }))) {
+      throw new Error('Recycle Bin snapshot failed; walls were not changed.');
+    }
+
+    if (updates.length) await scene.updateEmbeddedDocuments('Wall', updates);
+    const batchSize = 100;
+    for (let i = 0; i < deleteIds.length; i += batchSize) {
+      await scene.deleteEmbeddedDocuments('Wall', deleteIds.slice(i, i + batchSize));
+    }
+    this.log(`Scenes: ${scene.name} removed ${zeroLength.length} zero-length and ${duplicates.length} duplicate wall(s), merged ${merges.length} collinear chain(s)`);
+    return { removed: zeroLength.length + duplicates.length, merged: merges.length, deleted: deleteIds.length, runId: report.recycleBin.snapshots ? report.runId : null };
+  }
+
+  analyzeDatabase({ topN = 20 } = {}) {
+    const limit = Math.max(1, Number(topN) || 20);
+    const collections = [];
+    const docs = [];
+    let totalBytes = 0;
+
+    for (const def of WORLD_COLLECTIONS) {
+      const collection = game[def.key];
+      const contents = collection?.contents ?? [];
+      let bytes = 0;
+      for (const doc of contents) {
+        let size = 0;
+        try {
+          size = approxBytes(doc.toObject());
+        } catch (_e) {
+          // ignore
+        }
+        bytes += size;
+        docs.push({ uuid: doc.uuid, name: documentLabel(doc, def.documentName), documentName: def.documentName, bytes: size });
+      }
+      collections.push({
+        key: def.key,
+        label: def.label,
+        documentName: def.documentName,
+        count: contents.length,
+        invalid: collection?.invalidDocumentIds?.size ?? 0,
+        bytes
+      });
+      totalBytes += bytes;
+    }
+
+    docs.sort((a, b) => b.bytes - a.bytes);
+    collections.sort((a, b) => b.bytes - a.bytes);
+    return { totalBytes, collections, largest: docs.slice(0, limit) };
+  }
+
+  _currentPerformanceValue(key) {
+    try {
+      if (key === 'ticker.maxFPS') return globalThis.canvas?.app?.ticker?.maxFPS ?? null;
+      const setting = game.settings.settings?.get('core.maxFPS');
+      if (key === 'core.maxFPS.range.max') return setting?.range?.max ?? null;
+      if (key === 'core.maxFPS.options.max') return setting?.type?.options?.max ?? null;
+      const [ns, ...rest] = key.split('.');
+      return game.settings.get(ns, rest.join('.'));
+    } catch (_e) {
+      return null;
+    }
+  }
+
+  describeOriginalPerformance() {
+    return Object.entries(_getOriginalPerformance()).map(([setting, entry]) => ({
+      setting,
+      original: entry?.value ?? null,
+      current: this._currentPerformanceValue(setting),
+      recordedAt: entry?.recordedAt ?? null
+    }));
+  }
+
+  // Puts back every value recorded before the optimizer's first change, and turns
+  // the tweaks off so the ready hook does not immediately re-apply them.
+  async restoreOriginalPerformance() {
+    const originals = Object.entries(_getOriginalPerformance());
+    if (!originals.length) {
+      this.log('Performance: No original values recorded; nothing to restore');
+      return { restored: [], failed: [] };
+    }
+
+    const restored = [];
+    const failed = [];
+    // Settings first, then the schema ceilings they were allowed to exceed.
+    const order = (key) => (key.startsWith('core.maxFPS.') ? 1 : 0);
+    originals.sort((a, b) => order(a[0]) - order(b[0]));
+    for (const [key, entry] of originals) {
+      try {
+        const value = entry?.value;
+        if (key === 'ticker.maxFPS') {
+          if (globalThis.canvas?.app?.ticker) globalThis.canvas.app.ticker.maxFPS = value;
+        } else if (key === 'core.maxFPS.range.max') {
+          const setting = game.settings.settings?.get('core.maxFPS');
+          if (setting?.range) setting.range.max = value;
+        } else if (key === 'core.maxFPS.options.max') {
+          const opts = game.settings.settings?.get('core.maxFPS')?.type?.options;
+          if (opts) opts.max = value;
+        } else {
+          const [ns, ...rest] = key.split('.');
+          await game.settings.set(ns, rest.join('.'), value);
+        }
+        restored.push({ setting: key, to: value });
+        this.log(`Performance: Restored ${key} -> ${value}`);
+      } catch (e) {
+        failed.push({ setting: key, error: e?.message ?? String(e) });
+        this.log(`Performance: Failed to restore ${key}: ${e?.message ?? e}`);
+      }
+    }
+
+    if (!failed.length) await _clearOriginalPerformance();
+    if (game.user?.isGM && game.settings.get(MODULE_ID, 'doCorePerformanceTweaks')) {
+      await game.settings.set(MODULE_ID, 'doCorePerformanceTweaks', false);
+      this.log('Performance: Core performance tweaks turned off');
+    }
+    return { restored, failed };
+  }
+
+  _previewCorePerformanceChanges() {
+    const changes = [];
+
+    const maxFPSKey = game.settings.settings?.get('core.maxFPS') ? 'core.maxFPS' : null;
+    if (maxFPSKey) {
+      const current = game.settings.get('core', 'maxFPS');
+      // Do not cap FPS. Raise the ceiling if the core setting allows it.
+      // Note: Some Foundry builds cap core.maxFPS at 60 via setting range/choices.
+      const desired = 120;
+      const s = game.settings.settings.get('core.maxFPS');
+      let maxAllowed = desired;
+      if (s?.range && Number.isFinite(s.range.max)) {
+        maxAllowed = Math.min(maxAllowed, Number(s.range.max));
+      }
+      const choiceNums = Object.keys(s?.choices ?? {}).map(k => Number(k)).filter(n => Number.isFinite(n));
+      if (choiceNums.length) {
+        maxAllowed = Math.min(maxAllowed, Math.max(...choiceNums));
+      }
+      const next = maxAllowed;
+      if (typeof current === 'number' && current < next) changes.push({ setting: 'core.maxFPS', from: current, to: next });
+    }
+
+    const softShadowsKey = game.settings.settings?.get('core.softShadows') ? 'core.softShadows' : null;
+    if (softShadowsKey) {
+      const current = game.settings.get('core', 'softShadows');
+      const next = false;
+      if (typeof current === 'boolean' && current !== next) changes.push({ setting: 'core.softShadows', from: current, to: next });
+    }
+
+    return changes;
+  }
+
+  // `interactive: false` marks startup and unattended runs, where nobody is there to keep a download.
+  async optimize(options, { dryRun = false, interactive = true } = {}) {
+    if (!game.user?.isGM) {
+      throw new Error('Optimizer requires GM permissions.');
+    }
+
+    options = this.resolveOptions(options);
+    if (!interactive && ['json', 'html'].includes(options.chatArchiveMode)) {
+      this.log(`Cleanup: Unattended run archives chat to the compendium instead of a ${options.chatArchiveMode} download`);
+      options = { ...options, chatArchiveMode: 'compendium' };
+    }
+    const report = await this.dryRun(options);
+    if (dryRun) return report;
+
+    const t0 = performance.now();
+    report.runId = randomID();
+    this.log(`Optimization started (run ${report.runId})`);
+    await this.pruneRecycleBin(options.recycleBinRetentionDays);
+
+    if (options.doCleanupChat) {
+      await this._cleanupChat(options, report);
+    }
+
+    if (report.cleanup.combats.enabled) {
+      await this._cleanupCombats(options, report);
+    }
+
+    if (report.cleanup.fog.enabled) {
+      await this._cleanupFog(options, report);
+    }
+
+    if (options.doExtractInlineImages) {
+      await this._extractInlineImages(options, report);
+    }
+
+    if (options.doScrubModuleFlags) {
+      await this._scrubFlags(options, report);
+    }
+
+    if (options.doPruneOrphanSettings) {
+      await this._pruneOrphanSettings(options, report);
+    }
+
+    if (options.doRebuildCompendiumIndexes) {
+      await this._rebuildCompendiumIndexes(options, report);
+    }
+
+    if (options.doCorePerformanceTweaks) {
+      await this._applyCorePerformanceTweaks(report);
+    }
+
+    // Record an observed RAF FPS on the client to help diagnose "stuck at 60" complaints.
+    try {
+      report.performance ??= {};
+      report.performance.rafFPS = await this._measureRAFFPS(1000);
+      this.log(`Performance: Observed RAF FPS ~ ${report.performance.rafFPS}`);
+    } catch (_e) {
+      // ignore
+    }
+
+    const dt = performance.now() - t0;
+    this.log(`Optimization finished in ${Math.round(dt)}ms`);
+    return report;
+  }
+
+  // Offers a preset to the given users; each player accepts or declines on their own client.
+  async recommendClientPreset(presetKey, userIds, { onResponse, timeoutMs = 120000 } = {}) {
+    if (!game.user?.isGM) {
+      throw new Error('Optimizer requires GM permissions.');
+    }
+    if (!CLIENT_PRESETS[presetKey]) throw new Error(`Unknown preset "${presetKey}".`);
+
+    this.log(`Clients: Recommending ${CLIENT_PRESETS[presetKey].label} preset to ${userIds.length} user(s)`);
+    const responses = await requestFromClients('presetOffer', { preset: presetKey }, userIds, { timeoutMs, onResponse });
+    for (const userId of userIds) {
+      const name = game.users?.get(userId)?.name ?? userId;
+      const r = responses.get(userId);
+      const status = !r ? 'no response' : (r.error ? `error: ${r.error}` : (r.accepted ? `accepted (${r.applied?.length ?? 0} changed)` : 'declined'));
+      this.log(`Clients: ${name} ${status}`);
+    }
+    return responses;
+  }
+
+  // Asks every connected client (ourselves included) to measure itself for durationMs.
+  async collectTelemetry({ durationMs = 3000, onResponse } = {}) {
+    if (!game.user?.isGM) {
+      throw new Error('Optimizer requires GM permissions.');
+    }
+    const users = (game.users?.contents ?? []).filter(u => u.active);
+    this.log(`Telemetry: Measuring ${users.length} connected client(s) for ${Math.round(durationMs / 1000)}s`);
+
+    const responses = await requestFromClients('telemetry', { durationMs }, users.map(u => u.id), {
+      timeoutMs: durationMs + 15000,
+      onResponse
+    });
+
+    const rows = users.map((u) => {
+      const data = responses.get(u.id) ?? null;
+      const row = { userId: u.id, name: u.name, isGM: u.isGM, data, error: data?.error ?? (data ? null : 'no response') };
+      const f = data?.frames;
+      this.log(`Telemetry: ${u.name} ${row.error ? row.error : `${f?.avgFps ?? '?'} FPS, p99 ${f?.p99 ?? '?'}ms, heap ${Number.isFinite(data.heapUsed) ? formatBytes(data.heapUsed) : 'n/a'}`}`);
+      return row;
+    });
+    return rows;
+  }
+
+  startHookProfiler() {
+    if (!startHookProfiling()) return false;
+    this.log('Hook profiler: Recording hook handler timings');
+    return true;
+  }
+
+  stopHookProfiler() {
+    const result = stopHookProfiling();
+    if (!result) return null;
+    this.log(`Hook profiler: ${result.hooks.length} hook(s) fired over ${Math.round(result.durationMs / 1000)}s`);
+    for (const m of result.modules.slice(0, 5)) {
+      this.log(`Hook profiler:   ${m.module} ${m.total.toFixed(1)}ms total, worst ${m.max.toFixed(1)}ms (${m.maxHook})`);
+    }
+    return result;
+  }
+
+  getLoadHistory() {
+    try {
+      return game.settings.get(MODULE_ID, 'loadHistory') ?? [];
+    } catch (_e) {
+      return [];
+    }
+  }
+
+  // Media path -> scene placeables that display it.
+  _sceneTextureUsage() {
+    const usage = new Map();
+    const add = (src, use) => {
+      const key = normalizeMediaPath(src);
+      if (!key) return;
+      if (!usage.has(key)) usage.set(key, []);
+      usage.get(key).push(use);
+    };
+    for (const scene of game.scenes ?? []) {
+      const base = { sceneId: scene.id, sceneName: scene.name };
+      add(scene.background?.src ?? scene.img, { ...base, kind: 'background', label: scene.name, uuid: scene.uuid });
+      add(scene.foreground, { ...base, kind: 'foreground', label: scene.name, uuid: scene.uuid });
+      for (const tile of scene.tiles ?? []) add(tile.texture?.src ?? tile.img, { ...base, kind: 'tile', label: tile.id, uuid: tile.uuid });
+      for (const token of scene.tokens ?? []) add(token.texture?.src ?? token.img, { ...base, kind: 'token', label: token.name, uuid: token.uuid });
+    }
+    return usage;
+  }
+
+  // Every BaseTexture appears under several cache keys; collect each once with all its keys.
+  _loadedTextures() {
+    const textures = new Map();
+    const add = (key, value) => {
+      const tex = value?.tex ?? value?.texture ?? value;
+      const base = tex?.baseTexture ?? tex;
+      if (!base || base.destroyed || typeof base !== 'object' || !('width' in base)) return;
+      const entry = textures.get(base) ?? { base, keys: new Set() };
+      textures.set(base, entry);
+      entry.keys.add(String(key));
+    };
+    for (const [key, value] of Object.entries(globalThis.PIXI?.utils?.BaseTextureCache ?? {})) add(key, value);
+    const cache = globalThis.TextureLoader?.loader?.cache;
+    if (cache instanceof Map) for (const [key, value] of cache) add(key, value);
+    return [...textures.values()];
+  }
+
+  inspectTextures({ maxResolution = 4096 } = {}) {
+    const usage = this._sceneTextureUsage();
+    const currentSceneId = globalThis.canvas?.scene?.id ?? null;
+    const max = Math.max(1, Number(maxResolution) || 4096);
+
+    const rows = [];
+    for (const { base, keys } of this._loadedTextures()) {
+      const width = Math.round(base.realWidth ?? base.width ?? 0);
+      const height = Math.round(base.realHeight ?? base.height ?? 0);
+      const src = base.resource?.src ?? base.resource?.url ?? [...keys].find(k => !k.startsWith('pixiid_')) ?? [...keys][0];
+      const path = normalizeMediaPath(src);
+      const uses = [...keys].map(normalizeMediaPath).concat(path).filter(Boolean)
+        .flatMap(k => usage.get(k) ?? [])
+        .filter((u, i, all) => all.findIndex(o => o.uuid === u.uuid && o.kind === u.kind) === i);
+      // RGBA8, plus a third for the mip chain when mipmapping is on.
+      const mip = base.mipmap && base.mipmap !== globalThis.PIXI?.MIPMAP_MODES?.OFF ? 4 / 3 : 1;
+      rows.push({
+        src: path || String(src ?? ''),
+        keys: [...keys],
+        width,
+        height,
+        vram: Math.round(width * height * 4 * mip),
+        uses,
+        inCurrentScene: uses.some(u => u.sceneId === currentSceneId),
+        oversized: Math.max(width, height) > max && uses.some(u => u.kind === 'background' || u.kind === 'foreground' || u.kind === 'tile')
+      });
+    }
+    rows.sort((a, b) => b.vram - a.vram);
+
+    // Only evict textures we can attribute to other scenes; unattributed ones may be UI or effects.
+    const evictable = rows.filter(r => r.uses.length && !r.inCurrentScene);
+    const result = {
+      maxResolution: max,
+      count: rows.length,
+      totalVram: rows.reduce((sum, r) => sum + r.vram, 0),
+      textures: rows,
+      oversized: rows.filter(r => r.oversized).length,
+      evictable: evictable.length,
+      evictableVram: evictable.reduce((sum, r) => sum + r.vram, 0)
+    };
+    this.log(`Textures: ${result.count} loaded, ~${formatBytes(result.totalVram)} VRAM, ${result.oversized} over ${max}px`);
+    if (result.evictable) this.log(`Textures: ${result.evictable} used only by other scenes (~${formatBytes(result.evictableVram)})`);
+    return result;
+  }
+
+  evictUnusedTextures(textures) {
+    const cache = globalThis.TextureLoader?.loader?.cache;
+    let evicted = 0;
+    let freed = 0;
+    for (const row of textures.filter(r => r.uses.length && !r.inCurrentScene)) {
+      try {
+        for (const key of row.keys) {
+          if (cache instanceof Map) cache.delete(key);
+          const base = globalThis.PIXI?.utils?.BaseTextureCache?.[key];
+          if (base && !base.destroyed) base.destroy();
+          globalThis.PIXI?.Texture?.removeFromCache?.(key);
+          globalThis.PIXI?.BaseTexture?.removeFromCache?.(key);
+        }
+        evicted++;
+        freed += row.vram;
+      } catch (e) {
+        this.log(`Textures: could not evict ${row.src}: ${e?.message ?? e}`);
+      }
+    }
+    this.log(`Textures: Evicted ${evicted} texture(s), ~${formatBytes(freed)} freed`);
+    return { evicted, freed };
+  }
+
+  // Sustained frame-time recording; motion drives the canvas so pan/zoom stutter shows up.
+  async profileFrames({ seconds = 10, motion = 'none' } = {}) {
+    const durationMs = Math.max(2, Math.min(120, Number(seconds) || 10)) * 1000;
+    this.log(`Profiler: Recording ${durationMs / 1000}s${motion !== 'none' ? ` while ${motion === 'pan' ? 'panning' : 'zooming'}` : ''}`);
+
+    const startedAt = Date.now();
+    const stopMotion = this._driveCanvasMotion(motion);
+    let deltas = [];
+    try {
+      deltas = await recordFrameTimes(durationMs);
+    } finally {
+      await stopMotion();
+    }
+
+    const profile = buildFrameProfile(deltas, startedAt);
+    if (!profile) {
+      this.log('Profiler: No frames recorded');
+      return null;
+    }
+    profile.motion = motion !== 'none' ? motion : null;
+    const s = profile.summary;
+    this.log(`Profiler: ${s.avgFps} FPS avg, 1% low ${s.low1}, 0.1% low ${s.low01}, ${profile.longFrames.length} long frame(s) over ${LONG_FRAME_MS}ms`);
+    return profile;
+  }
+
+  // Returns an async stop function that ends the motion and puts the view back.
+  _driveCanvasMotion(motion) {
+    const c = globalThis.canvas;
+    if (!['pan', 'zoom'].includes(motion) || !c?.ready || typeof c.animatePan !== 'function') return async () => {};
+
+    const origin = { x: c.stage.pivot.x, y: c.stage.pivot.y, scale: c.stage.scale.x };
+    const step = Math.min(c.dimensions?.sceneWidth ?? 2000, 2000) / 4;
+    const minZoom = globalThis.CONFIG?.Canvas?.minZoom ?? 0.1;
+    const maxZoom = globalThis.CONFIG?.Canvas?.maxZoom ?? 3;
+    let active = true;
+    let leg = 0;
+
+    const loop = async () => {
+      while (active) {
+        const out = leg++ % 2 === 0;
+        const target = motion === 'pan'
+          ? { x: origin.x + (out ? step : -step), y: origin.y + (out ? step / 2 : -step / 2) }
+          : { scale: out ? Math.min(origin.scale * 2, maxZoom) : Math.max(origin.scale / 2, minZoom) };
+        await c.animatePan({ ...target, duration: 1000 });
+      }
+    };
+    const running = loop().catch((e) => console.warn(`${MODULE_ID} | profiler motion stopped`, e));
+
+    return async () => {
+      active = false;
+      await running;
+      try {
+        await c.animatePan({ ...origin, duration: 250 });
+      } catch (_e) {
+        // ignore
+      }
+    };
+  }
+
+  async _measureRAFFPS(durationMs = 1000) {
+    if (typeof requestAnimationFrame !== 'function') return null;
+    const dur = Math.max(250, Number(durationMs) || 1000);
+    return await new Promise((resolve) => {
+      let frames = 0;
+      const t0 = performance.now();
+      const tick = (t) => {
+        frames++;
+        if (t - t0 >= dur) {
+          const fps = frames / ((t - t0) / 1000);
+          resolve(Math.round(fps * 10) / 10);
+          return;
+        }
+        requestAnimationFrame(tick);
+      };
+      requestAnimationFrame(tick);
+    });
+  }
+
+  // Rules are checked top to bottom; the first enabled match decides the
+  // retention period. Unmatched messages fall back to chatRetentionDays.
+  _selectChatForCleanup(options) {
+    const dayMs = 24 * 60 * 60 * 1000;
+    const now = Date.now();
+    const defaultDays = Number(options.chatRetentionDays) || 30;
+    const rules = (Array.isArray(options.chatRetentionRules) ? options.chatRetentionRules : [])
+      .filter(r => r && r.enabled !== false && CHAT_RULE_MATCHES[r.match]);
+
+    const toBucket = (rule) => {
+      const days = Number(rule?.days);
+      return { id: rule.id, label: chatRuleLabel(rule), days: Number.isFinite(days) ? days : defaultDays, wouldDelete: 0 };
+    };
+    const buckets = rules.map(toBucket);
+    const fallback = { id: 'default', label: 'Default (all other messages)', days: defaultDays, wouldDelete: 0 };
+
+    const messages = [];
+    let kept = 0;
+    for (const msg of game.messages?.contents ?? []) {
+      const ts = msg?.timestamp ?? 0;
+      if (!msg?.id || ts <= 0) continue;
+
+      const idx = rules.findIndex(r => chatMessageMatchesRule(msg, r));
+      const bucket = idx >= 0 ? buckets[idx] : fallback;
+      // A period of 0 days or less keeps matching messages forever.
+      if (bucket.days <= 0 || ts >= now - (bucket.days * dayMs)) continue;
+
+      if (isChatMessageKept(msg)) {
+        kept++;
+        continue;
+      }
+
+      bucket.wouldDelete++;
+      messages.push(msg);
+    }
+
+    return { messages, byRule: [...buckets, fallback], kept };
+  }
+
+  async _cleanupChat(options, report) {
+    const { messages, byRule, kept } = this._selectChatForCleanup(options);
+    const ids = messages.map(m => m.id);
+    report.cleanup.chat.byRule = byRule;
+    report.cleanup.chat.kept = kept;
+
+    if (!ids.length) {
+      this.log('Cleanup: No old chat messages to delete');
+      return;
+    }
+
+    // Never delete what we were asked to archive but could not.
+    const archived = await this._archiveChat(messages, options, report);
+    if (!archived) return;
+    if (!(await this._snapshotToRecycleBin(report, 'ChatMessage', messages))) return;
+
+    const summary = byRule.filter(r => r.wouldDelete > 0).map(r => `${r.label}=${r.wouldDelete}`).join(', ');
+    this.log(`Cleanup: Deleting ${ids.length} chat messages (${summary})${kept ? `, keeping ${kept} pinned` : ''}`);
+    const batchSize = 100;
+    for (let i = 0; i < ids.length; i += batchSize) {
+      const batch = ids.slice(i, i + batchSize);
+      // Static deletion is more efficient than doc.delete() per message
+      await ChatMessage.deleteDocuments(batch);
+    }
+    report.cleanup.chat.deleted = ids.length;
+  }
+
+  async _archiveChat(messages, options, report) {
+    const mode = String(options.chatArchiveMode || 'none');
+    if (mode === 'none' || !messages.length) return true;
+
+    const scenes = this._groupChatForArchive(messages);
+    try {
+      if (mode === 'compendium') await this._archiveChatToCompendium(scenes);
+      else if (mode === 'json') this._archiveChatToJSON(scenes);
+      else if (mode === 'html') this._archiveChatToHTML(scenes);
+      else throw new Error(`Unknown archive mode "${mode}"`);
+    } catch (e) {
+      this.log(`Cleanup: Chat archive failed, no messages deleted: ${e?.message ?? e}`);
+      report.notes?.push?.('Chat archive failed; chat cleanup was skipped.');
+      return false;
+    }
+
+    report.cleanup.chat.archived = { mode, messages: messages.length, scenes: scenes.length };
+    this.log(`Cleanup: Archived ${messages.length} chat messages (${mode}) across ${scenes.length} scene group(s)`);
+    return true;
+  }
+
+  _groupChatForArchive(messages) {
+    const byScene = new Map();
+    const sorted = [...messages].sort((a, b) => (a.timestamp ?? 0) - (b.timestamp ?? 0));
+    for (const msg of sorted) {
+      const sceneId = msg.speaker?.scene ?? null;
+      const key = sceneId ?? '';
+      if (!byScene.has(key)) {
+        const sceneName = sceneId ? (game.scenes?.get(sceneId)?.name ?? `Deleted scene ${sceneId}`) : 'No scene';
+        byScene.set(key, { sceneId, sceneName, days: new Map() });
+      }
+      const group = byScene.get(key);
+      const day = formatDay(msg.timestamp);
+      if (!group.days.has(day)) group.days.set(day, []);
+      group.days.get(day).push(msg);
+    }
+
+    return Array.from(byScene.values())
+      .map(g => ({ sceneId: g.sceneId, sceneName: g.sceneName, days: Array.from(g.days, ([date, msgs]) => ({ date, messages: msgs })) }))
+      .sort((a, b) => a.sceneName.localeCompare(b.sceneName));
+  }
+
+  // Unlocked, GM-only world JournalEntry pack; existing packs are locked down again if loosened.
+  async _getGMOnlyPack(name, label) {
+    let pack = game.packs?.get(`world.${name}`);
+    if (!pack) {
+      const Compendium = (globalThis.foundry?.documents?.collections?.CompendiumCollection) ?? globalThis.CompendiumCollection;
+      pack = await Compendium.createCompendium({ type: 'JournalEntry', label, name, package: 'world', ownership: GM_ONLY_PACK_OWNERSHIP });
+    }
+    const config = {};
+    if (pack.locked) config.locked = false;
+    if (Object.entries(GM_ONLY_PACK_OWNERSHIP).some(([role, level]) => pack.ownership?.[role] !== level)) config.ownership = GM_ONLY_PACK_OWNERSHIP;
+    if (Object.keys(config).length) await pack.configure(config);
+    return pack;
+  }
+
+  async _getChatArchivePack() {
+    return this._getGMOnlyPack(CHAT_ARCHIVE_PACK, 'RNK Chat Archive');
+  }
+
+  async _archiveChatToCompendium(scenes) {
+    const pack = await this._getChatArchivePack();
+    const htmlFormat = globalThis.CONST?.JOURNAL_ENTRY_PAGE_FORMATS?.HTML ?? 1;
+    const entries = scenes.map(scene => ({
+      name: `Chat Archive: ${scene.sceneName} (${nowISO()})`,
+      pages: scene.days.map((day, i) => ({
+        name: day.date,
+        type: 'text',
+        sort: (i + 1) * 100,
+        text: { format: htmlFormat, content: day.messages.map(chatMessageArchiveHTML).join('\n') }
+      }))
+    }));
+    await JournalEntry.createDocuments(entries, { pack: pack.collection });
+  }
+
+  _archiveChatToJSON(scenes) {
+    const data = {
+      world: game.world?.id ?? null,
+      exportedAt: new Date().toISOString(),
+      scenes: scenes.map(scene => ({
+        sceneId: scene.sceneId,
+        sceneName: scene.sceneName,
+        days: scene.days.map(day => ({ date: day.date, messages: day.messages.map(m => m.toObject()) }))
+      }))
+    };
+    saveFile(JSON.stringify(data, null, 2), 'application/json', `chat-archive-${game.world?.id ?? 'world'}-${Date.now()}.json`);
+  }
+
+  _archiveChatToHTML(scenes) {
+    const title = `Chat Archive: ${game.world?.title ?? game.world?.id ?? 'World'}`;
+    const body = scenes.map(scene => {
+      const days = scene.days
+        .map(day => `<section><h2>${escapeHTML(day.date)}</h2>${day.messages.map(chatMessageArchiveHTML).join('\n')}</section>`)
+        .join('\n');
+      return `<article><h1>${escapeHTML(scene.sceneName)}</h1>${days}</article>`;
+    }).join('\n');
+    const html = `<!DOCTYPE html><html><head><meta charset="utf-8"><title>${escapeHTML(title)}</title></head><body>${body}</body></html>`;
+    saveFile(html, 'text/html', `chat-archive-${game.world?.id ?? 'world'}-${Date.now()}.html`);
+  }
+
+  _combatCriteria(options) {
+    const criteria = [];
+    if (options.doCleanupInactiveCombats) criteria.push('inactive');
+    if ((Number(options.combatStaleDays) || 0) > 0) criteria.push('stale');
+    if (options.doCleanupScenelessCombats) criteria.push('sceneless');
+    if (options.doCleanupDefeatedCombats) criteria.push('defeated');
+    if (options.doCleanupTokenlessCombats) criteria.push('tokenless');
+    return criteria;
+  }
+
+  _combatMatches(combat, criterion, options) {
+    const combatants = combat.combatants?.contents ?? [];
+    switch (criterion) {
+      case 'inactive': {
+        const isActive = !!combat.started;
+        const hasTurns = Array.isArray(combat.turns) ? combat.turns.length > 0 : false;
+        // Conservative: only combats that are not started and have no turns.
+        return !isActive && !hasTurns;
+      }
+      case 'stale': {
+        const days = Number(options.combatStaleDays) || 0;
+        const modified = combat._stats?.modifiedTime ?? 0;
+        return !!combat.started && modified > 0 && modified < Date.now() - (days * 24 * 60 * 60 * 1000);
+      }
+      case 'sceneless': {
+        const sceneId = combat._source?.scene;
+        return !!sceneId && !game.scenes?.has(sceneId);
+      }
+      case 'defeated':
+        return combatants.length > 0 && combatants.every(c => c.isDefeated ?? c.defeated);
+      case 'tokenless':
+        return combatants.length > 0 && combatants.every(c => {
+          const tokenId = c._source?.tokenId;
+          if (!tokenId) return false;
+          const scene = game.scenes?.get(c._source?.sceneId ?? combat._source?.scene);
+          return !scene?.tokens?.has(tokenId);
+        });
+      default:
+        return false;
+    }
+  }
+
+  // A combat matching several criteria is counted under each but deleted once.
+  _selectCombatsForCleanup(options) {
+    const criteria = this._combatCriteria(options);
+    const byCriterion = Object.fromEntries(criteria.map(k => [k, 0]));
+    const combats = [];
+    for (const combat of game.combats?.contents ?? []) {
+      if (!combat?.id) continue;
+      let matched = false;
+      for (const criterion of criteria) {
+        if (!this._combatMatches(combat, criterion, options)) continue;
+        byCriterion[criterion]++;
+        matched = true;
+      }
+      if (matched) combats.push(combat);
+    }
+    return { combats, byCriterion };
+  }
+
+  async _cleanupCombats(options, report) {
+    const { combats: selected, byCriterion } = this._selectCombatsForCleanup(options);
+    const ids = selected.map(c => c.id);
+    report.cleanup.combats.byCriterion = byCriterion;
+
+    if (!ids.length) {
+      this.log('Cleanup: No combats to delete');
+      return;
+    }
+
+    if (!(await this._snapshotToRecycleBin(report, 'Combat', selected))) return;
+
+    const summary = Object.entries(byCriterion).filter(([, n]) => n > 0).map(([k, n]) => `${k}=${n}`).join(', ');
+    this.log(`Cleanup: Deleting ${ids.length} combats (${summary})`);
+    const batchSize = 50;
+    for (let i = 0; i < ids.length; i += batchSize) {
+      const batch = ids.slice(i, i + batchSize);
+      await Combat.deleteDocuments(batch);
+    }
+    report.cleanup.combats.deleted = ids.length;
+  }
+
+  _fogCriteria(options) {
+    const criteria = [];
+    if (options.doCleanupFogDeletedUsers) criteria.push('user');
+    if (options.doCleanupFogDeletedScenes) criteria.push('scene');
+    if ((Number(options.fogStaleDays) || 0) > 0) criteria.push('stale');
+    return criteria;
+  }
+
+  // Fog exploration is not kept in a world collection on the client, so it is queried from the server.
+  async _fetchFogExplorations() {
+    const cls = getDocumentClass('FogExploration');
+    if (!cls?.database?.get) throw new Error('FogExploration documents are not available.');
+    return await cls.database.get(cls, { query: {} });
+  }
+
+  _fogMatches(fog, criterion, options) {
+    switch (criterion) {
+      // Foreign keys resolve to null once the target is gone, so compare the raw ids.
+      case 'user': {
+        const userId = fog._source?.user;
+        return !!userId && !game.users?.has(userId);
+      }
+      case 'scene': {
+        const sceneId = fog._source?.scene;
+        return !!sceneId && !game.scenes?.has(sceneId);
+      }
+      case 'stale': {
+        const days = Number(options.fogStaleDays) || 0;
+        const modified = fog._stats?.modifiedTime ?? fog.timestamp ?? 0;
+        return modified > 0 && modified < Date.now() - (days * 24 * 60 * 60 * 1000);
+      }
+      default:
+        return false;
+    }
+  }
+
+  // A record matching several criteria is counted under each but deleted once.
+  async _selectFogForCleanup(options) {
+    const criteria = this._fogCriteria(options);
+    const byCriterion = Object.fromEntries(criteria.map(k => [k, 0]));
+    const all = await this._fetchFogExplorations();
+    const fog = [];
+    for (const record of all ?? []) {
+      if (!record?.id) continue;
+      let matched = false;
+      for (const criterion of criteria) {
+        if (!this._fogMatches(record, criterion, options)) continue;
+        byCriterion[criterion]++;
+        matched = true;
+      }
+      if (matched) fog.push(record);
+    }
+    return { fog, byCriterion, total: all?.length ?? 0 };
+  }
+
+  // Fog records carry a full exploration texture each, too large for the Recycle Bin, so they are deleted outright.
+  async _cleanupFog(options, report) {
+    let selection;
+    try {
+      selection = await this._selectFogForCleanup(options);
+    } catch (e) {
+      this.log(`Cleanup: Could not load fog exploration records: ${e?.message ?? e}`);
+      return;
+    }
+    const ids = selection.fog.map(f => f.id);
+    report.cleanup.fog.byCriterion = selection.byCriterion;
+
+    if (!ids.length) {
+      this.log('Cleanup: No fog exploration records to delete');
+      return;
+    }
+
+    const cls = getDocumentClass('FogExploration');
+    const summary = Object.entries(selection.byCriterion).filter(([, n]) => n > 0).map(([k, n]) => `${k}=${n}`).join(', ');
+    this.log(`Cleanup: Deleting ${ids.length} fog exploration records (${summary})`);
+    const batchSize = 50;
+    for (let i = 0; i < ids.length; i += batchSize) {
+      const batch = ids.slice(i, i + batchSize);
+      await cls.deleteDocuments(batch);
+    }
+    report.cleanup.fog.deleted = ids.length;
+  }
+
+  async _getRecycleBinPack() {
+    return this._getGMOnlyPack(RECYCLE_BIN_PACK, 'RNK Recycle Bin');
+  }
+
+  // One journal entry per run; its flag carries the snapshot sources.
+  _recycleRunEntryData(run) {
+    return {
+      name: `Recycle Bin ${run.id} (${new Date(run.createdAt).toISOString()})`,
+      flags: { [MODULE_ID]: { recycleRun: { id: run.id, createdAt: run.createdAt, documents: run.documents } } }
+    };
+  }
+
+  // Snapshots are written before deleting; if that fails the caller must not delete.
+  // Embedded documents (e.g. walls) pass their `parent` so a restore can recreate them in place.
+  async _snapshotToRecycleBin(report, documentName, docs, { parent = null } = {}) {
+    if (!report.recycleBin?.enabled || !docs.length) return true;
+
+    try {
+      const pack = await this._getRecycleBinPack();
+      const snapshots = docs.map(doc => ({
+        documentName,
+        id: doc.id,
+        label: documentLabel(doc, documentName),
+        parentUuid: parent?.uuid ?? null,
+        source: doc.toObject()
+      }));
+
+      const entry = report.recycleBin.entryId ? await pack.getDocument(report.recycleBin.entryId) : null;
+      if (entry) {
+        const documents = entry.getFlag(MODULE_ID, 'recycleRun')?.documents ?? [];
+        await entry.update({ [`flags.${MODULE_ID}.recycleRun.documents`]: [...documents, ...snapshots] });
+      } else {
+        const run = { id: report.runId, createdAt: Date.now(), documents: snapshots };
+        const [created] = await JournalEntry.createDocuments([this._recycleRunEntryData(run)], { pack: pack.collection });
+        report.recycleBin.entryId = created.id;
+      }
+      _recycleRunsCache = null;
+      report.recycleBin.snapshots += docs.length;
+      return true;
+    } catch (e) {
+      this.log(`Recycle Bin: Snapshot failed, ${documentName} documents not deleted: ${e?.message ?? e}`);
+      report.notes?.push?.(`Recycle Bin snapshot failed; ${documentName} cleanup was skipped.`);
+      return false;
+    }
+  }
+
+  // Sources stay out of the list; restoreFromRecycleBin loads them for the one run it needs.
+  async getRecycleBin() {
+    if (!game.user?.isGM) return [];
+    if (_recycleRunsCache) return [..._recycleRunsCache];
+    const pack = game.packs?.get(`world.${RECYCLE_BIN_PACK}`);
+    if (!pack) return [];
+
+    const entries = await pack.getDocuments();
+    _recycleRunsCache = entries
+      .map((entry) => {
+        const run = entry.getFlag(MODULE_ID, 'recycleRun') ?? {};
+        const documents = Array.isArray(run.documents) ? run.documents.map(({ source, ...d }) => d) : null;
+        return { id: run.id, createdAt: run.createdAt, entryId: entry.id, documents };
+      })
+      .filter(run => run.id && run.documents);
+    return [..._recycleRunsCache];
+  }
+
+  async pruneRecycleBin(retentionDays) {
+    const days = Number(retentionDays) || 0;
+    if (days <= 0) return 0;
+
+    const cutoff = Date.now() - (days * 24 * 60 * 60 * 1000);
+    const expired = (await this.getRecycleBin()).filter(r => (r?.createdAt ?? 0) < cutoff);
+    if (expired.length > 0) {
+      const pack = await this._getRecycleBinPack();
+      await JournalEntry.deleteDocuments(expired.map(r => r.entryId), { pack: pack.collection });
+      _recycleRunsCache = null;
+      this.log(`Recycle Bin: Expired ${expired.length} snapshot(s) older than ${days} days`);
+    }
+    return expired.length;
+  }
+
+  async deleteRecycleBinRun(runId) {
+    const run = (await this.getRecycleBin()).find(r => r.id === runId);
+    if (!run) return;
+    const pack = await this._getRecycleBinPack();
+    await JournalEntry.deleteDocuments([run.entryId], { pack: pack.collection });
+    _recycleRunsCache = null;
+    this.log(`Recycle Bin: Deleted snapshot ${runId}`);
+  }
+
+  // `keys` selects entries as "<documentName>.<id>"; omit it to restore the whole run.
+  async restoreFromRecycleBin(runId, keys = null) {
+    if (!game.user?.isGM) {
+      throw new Error('Optimizer requires GM permissions.');
+    }
+
+    const summary = (await this.getRecycleBin()).find(r => r.id === runId);
+    if (!summary) throw new Error(`Recycle Bin run ${runId} not found.`);
+    const pack = await this._getRecycleBinPack();
+    const runEntry = await pack.getDocument(summary.entryId);
+    const run = deepClone(runEntry?.getFlag(MODULE_ID, 'recycleRun') ?? null);
+    if (!run) throw new Error(`Recycle Bin run ${runId} not found.`);
+
+    const wanted = Array.isArray(keys) ? new Set(keys) : null;
+    const selected = run.documents.filter(d => !wanted || wanted.has(`${d.documentName}.${d.id}`));
+    // Restored and already present entries leave the bin; failed ones stay for another try.
+    const doneKeys = new Set();
+    let restored = 0;
+    let alreadyPresent = 0;
+    let failed = 0;
+
+    const byTarget = new Map();
+    for (const entry of selected) {
+      const target = `${entry.parentUuid ?? ''}|${entry.documentName}`;
+      if (!byTarget.has(target)) byTarget.set(target, []);
+      byTarget.get(target).push(entry);
+    }
+
+    for (const entries of byTarget.values()) {
+      const { documentName, parentUuid } = entries[0];
+      const cls = getDocumentClass(documentName);
+      if (!cls) {
+        failed += entries.length;
+        this.log(`Recycle Bin: Cannot restore unknown document type ${documentName}`);
+        continue;
+      }
+
+      const parent = parentUuid ? await fromUuid(parentUuid) : null;
+      if (parentUuid && !parent) {
+        failed += entries.length;
+        this.log(`Recycle Bin: Cannot restore ${entries.length} ${documentName}, ${parentUuid} no longer exists`);
+        continue;
+      }
+      const collection = parent ? parent.getEmbeddedCollection(documentName) : game.collections?.get?.(documentName);
+
+      // Anything that already exists again (e.g. restored earlier) is left alone.
+      const pending = entries.filter(e => {
+        if (collection?.has?.(e.id)) {
+          doneKeys.add(`${documentName}.${e.id}`);
+          alreadyPresent++;
+          return false;
+        }
+        return true;
+      });
+
+      const batchSize = 100;
+      for (let i = 0; i < pending.length; i += batchSize) {
+        const batch = pending.slice(i, i + batchSize);
+        try {
+          await cls.createDocuments(batch.map(e => e.source), { keepId: true, parent });
+          for (const e of batch) doneKeys.add(`${documentName}.${e.id}`);
+          restored += batch.length;
+        } catch (e) {
+          failed += batch.length;
+          this.log(`Recycle Bin: Failed to restore ${batch.length} ${documentName}: ${e?.message ?? e}`);
+        }
+      }
+    }
+
+    const remaining = run.documents.filter(d => !doneKeys.has(`${d.documentName}.${d.id}`));
+    if (remaining.length) {
+      await runEntry.update({ [`flags.${MODULE_ID}.recycleRun.documents`]: remaining });
+    } else {
+      await runEntry.delete();
+    }
+    _recycleRunsCache = null;
+
+    const extra = [alreadyPresent ? `${alreadyPresent} already present` : null, failed ? `${failed} failed` : null].filter(Boolean);
+    this.log(`Recycle Bin: Restored ${restored} document(s) from ${runId}${extra.length ? ` (${extra.join(', ')})` : ''}`);
+    return { restored, alreadyPresent, failed };
+  }
+
+  _scanInlineImages() {
+    const findings = [];
+    for (const doc of worldDocuments()) {
+      let src;
+      try {
+        src = ownSource(doc);
+      } catch (_e) {
+        continue;
+      }
+      walkStrings(src, (value, field) => {
+        if (!value.includes('data:image/')) return;
+        let count = 0;
+        let bytes = 0;
+        for (const m of value.matchAll(INLINE_IMAGE_PATTERN)) {
+          count++;
+          bytes += Math.floor(m[2].length * 3 / 4);
+        }
+        if (count) findings.push({ uuid: doc.uuid, documentName: doc.documentName, name: documentLabel(doc, doc.documentName), field, count, bytes });
+      });
+    }
+    return findings.sort((a, b) => b.bytes - a.bytes);
+  }
+
+  async _ensureDataFolder(path) {
+    const FP = filePickerClass();
+    let current = '';
+    for (const part of path.split('/').filter(Boolean)) {
+      current = current ? `${current}/${part}` : part;
+      try {
+        await FP.createDirectory('data', current, {});
+      } catch (_e) {
+        // Already exists (or not creatable; the upload will report that).
+      }
+    }
+  }
+
+  async _uploadInlineImage(folder, type, base64, uploaded) {
+    const name = `inline-${hashString(base64)}.${inlineImageExtension(type)}`;
+    if (uploaded.has(name)) return uploaded.get(name);
+
+    const bytes = Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+    const file = new File([bytes], name, { type: `image/${type}` });
+    const res = await filePickerClass().upload('data', folder, file, {}, { notify: false });
+    if (res === false || res?.status === 'error') throw new Error(res?.message ?? `Upload of ${name} failed`);
+
+    const path = res?.path ?? `${folder}/${name}`;
+    uploaded.set(name, path);
+    return path;
+  }
+
+  async _extractInlineImages(options, report) {
+    const findings = this._scanInlineImages();
+    report.inlineImages ??= { enabled: true, findings, totalBytes: 0, wouldRewrite: findings.length };
+    if (!findings.length) {
+      this.log('Cleanup: No inline images found');
+      return;
+    }
+
+    const folder = String(options.inlineImageFolder || `worlds/${game.world.id}/inline-images`).replace(/^\/+|\/+$/g, '');
+    await this._ensureDataFolder(folder);
+    this.log(`Cleanup: Extracting inline images from ${findings.length} field(s) to ${folder}`);
+
+    const byUuid = new Map();
+    for (const f of findings) {
+      if (!byUuid.has(f.uuid)) byUuid.set(f.uuid, []);
+      byUuid.get(f.uuid).push(f.field);
+    }
+
+    // Identical images share one file.
+    const uploaded = new Map();
+    let rewritten = 0;
+    let freedBytes = 0;
+    const failed = [];
+    for (const [uuid, fields] of byUuid) {
+      try {
+        const doc = await fromUuid(uuid);
+        if (!doc) continue;
+        const src = ownSource(doc);
+        const next = deepClone(src);
+        for (const field of fields) {
+          const value = getProperty(next, field);
+          if (typeof value !== 'string') continue;
+          let out = '';
+          let last = 0;
+          for (const m of value.matchAll(INLINE_IMAGE_PATTERN)) {
+            const path = await this._uploadInlineImage(folder, m[1], m[2], uploaded);
+            out += value.slice(last, m.index) + path;
+            last = m.index + m[0].length;
+            freedBytes += m[0].length - path.length;
+          }
+          setProperty(next, field, out + value.slice(last));
+        }
+        const changes = diffObject(src, next);
+        if (Object.keys(changes).length) {
+          await doc.update(changes);
+          rewritten += fields.length;
+        }
+      } catch (e) {
+        failed.push({ uuid, error: e?.message ?? String(e) });
+        this.log(`Cleanup: Failed to extract inline images from ${uuid}: ${e?.message ?? e}`);
+      }
+    }
+
+    report.inlineImages.rewritten = rewritten;
+    report.inlineImages.files = uploaded.size;
+    report.inlineImages.freedBytes = freedBytes;
+    if (failed.length) report.inlineImages.failed = failed;
+    this.log(`Cleanup: Rewrote ${rewritten} field(s) to ${uploaded.size} file(s), ~${formatBytes(freedBytes)} removed from the database`);
+  }
+
+  _scanStaleFlags() {
+    const byNamespace = new Map();
+    for (const doc of worldDocuments()) {
+      const flags = doc._source?.flags;
+      if (!flags || typeof flags !== 'object') continue;
+      for (const [ns, data] of Object.entries(flags)) {
+        const status = staleFlagNamespaceStatus(ns);
+        if (!status) continue;
+        if (!byNamespace.has(ns)) byNamespace.set(ns, { namespace: ns, status, docs: 0, bytes: 0, byType: {} });
+        const entry = byNamespace.get(ns);
+        entry.docs++;
+        entry.bytes += approxBytes(data ?? null);
+        entry.byType[doc.documentName] = (entry.byType[doc.documentName] ?? 0) + 1;
+      }
+    }
+    return Array.from(byNamespace.values()).sort((a, b) => b.bytes - a.bytes);
+  }
+
+  async _scrubFlags(options, report) {
+    // Re-check at apply time; a selection never overrides protection or an active module.
+    const selected = (options.scrubFlagNamespaces ?? []).filter(ns => !!staleFlagNamespaceStatus(ns));
+    if (!selected.length) {
+      this.log('Cleanup: No flag namespaces selected for scrubbing');
+      return;
+    }
+
+    const groups = new Map();
+    for (const doc of worldDocuments()) {
+      const flags = doc._source?.flags ?? {};
+      const drop = selected.filter(ns => ns in flags);
+      if (!drop.length) continue;
+
+      const update = { _id: doc.id };
+      for (const ns of drop) update[`flags.-=${ns}`] = null;
+      const key = `${doc.parent?.uuid ?? ''}|${doc.documentName}`;
+      if (!groups.has(key)) groups.set(key, { parent: doc.parent ?? null, documentName: doc.documentName, updates: [] });
+      groups.get(key).updates.push(update);
+    }
+
+    this.log(`Cleanup: Scrubbing flags [${selected.join(', ')}]`);
+    let scrubbed = 0;
+    const batchSize = 100;
+    for (const { parent, documentName, updates } of groups.values()) {
+      for (let i = 0; i < updates.length; i += batchSize) {
+        const batch = updates.slice(i, i + batchSize);
+        try {
+          if (parent) await parent.updateEmbeddedDocuments(documentName, batch);
+          else await getDocumentClass(documentName).updateDocuments(batch);
+          scrubbed += batch.length;
+        } catch (e) {
+          this.log(`Cleanup: Failed to scrub flags on ${batch.length} ${documentName}: ${e?.message ?? e}`);
+        }
+      }
+    }
+
+    report.flags ??= { enabled: true, namespaces: [], selected };
+    report.flags.scrubbed = scrubbed;
+    this.log(`Cleanup: Scrubbed flags from ${scrubbed} document(s)`);
+  }
+
+  // World-scope Setting documents whose namespace is neither core, the system, nor an installed module.
+  _orphanSettingDocuments() {
+    const storage = game.settings?.storage?.get?.('world');
+    const docs = storage?.contents ?? Array.from(storage?.values?.() ?? []);
+    return docs.filter(setting => {
+      if (!setting?.key || setting.user) return false;
+      const ns = setting.key.split('.')[0];
+      if (ns === 'core' || ns === game.system?.id) return false;
+      return !game.modules?.has?.(ns);
+    });
+  }
+
+  _scanOrphanSettings() {
+    return this._orphanSettingDocuments()
+      .map(setting => ({
+        id: setting.id,
+        key: setting.key,
+        namespace: setting.key.split('.')[0],
+        bytes: approxBytes(setting._source?.value ?? setting.value ?? '')
+      }))
+      .sort((a, b) => a.key.localeCompare(b.key));
+  }
+
+  async _pruneOrphanSettings(options, report) {
+    const selected = new Set(options.pruneSettingKeys ?? []);
+    const docs = this._orphanSettingDocuments().filter(setting => selected.has(setting.key));
+    if (!docs.length) {
+      this.log('Cleanup: No orphaned settings selected for deletion');
+      return;
+    }
+
+    if (!(await this._snapshotToRecycleBin(report, 'Setting', docs))) return;
+
+    this.log(`Cleanup: Deleting ${docs.length} orphaned world settings`);
+    const ids = docs.map(setting => setting.id);
+    const batchSize = 100;
+    for (let i = 0; i < ids.length; i += batchSize) {
+      await getDocumentClass('Setting').deleteDocuments(ids.slice(i, i + batchSize));
+    }
+    report.settings ??= { enabled: true, orphans: [], selected: Array.from(selected) };
+    report.settings.deleted = ids.length;
+  }
+
+  scanIntegrity() {
+    const findings = [];
+    const add = (kind, doc, message, fix, data = null) => findings.push({
+      kind,
+      kindLabel: INTEGRITY_KINDS[kind],
+      uuid: doc.uuid,
+      documentName: doc.documentName,
+      name: documentLabel(doc, doc.documentName),
+      message,
+      fix: fix ?? null,
+      data
+    });
+
+    for (const scene of game.scenes?.contents ?? []) {
+      for (const token of scene.tokens?.contents ?? []) {
+        const actorId = token._source?.actorId;
+        if (actorId && !game.actors?.has(actorId)) {
+          add('tokenActor', token, `Token "${token.name}" on ${scene.name} points to deleted actor ${actorId}`, 'Unlink');
+        }
+      }
+    }
+
+    for (const combat of game.combats?.contents ?? []) {
+      for (const combatant of combat.combatants?.contents ?? []) {
+        const tokenId = combatant._source?.tokenId;
+        if (!tokenId) continue;
+        const sceneId = combatant._source?.sceneId ?? combat._source?.scene;
+        const scene = sceneId ? game.scenes?.get(sceneId) : null;
+        if (!scene?.tokens?.has(tokenId)) {
+          add('combatantToken', combatant, `Combatant "${combatant.name}" references missing token ${tokenId}`, 'Remove combatant');
+        }
+      }
+    }
+
+    for (const doc of worldDocuments()) {
+      const ownership = doc._source?.ownership;
+      if (!ownership || typeof ownership !== 'object') continue;
+      for (const userId of Object.keys(ownership)) {
+        if (userId === 'default' || game.users?.has(userId)) continue;
+        add('ownershipUser', doc, `Ownership entry for deleted user ${userId}`, 'Drop ownership key', { userId });
+      }
+    }
+
+    for (const folder of game.folders?.contents ?? []) {
+      const parentId = folder._source?.folder;
+      if (parentId && !game.folders.has(parentId)) {
+        add('folderParent', folder, `Folder "${folder.name}" has missing parent ${parentId}`, 'Move to root');
+      }
+    }
+
+    const linkSources = [
+      ...(game.journal?.contents ?? []).flatMap(entry => Array.from(walkDocuments(entry))),
+      ...(game.items?.contents ?? []),
+      ...(game.actors?.contents ?? []).flatMap(actor => actor.items?.contents ?? [])
+    ];
+    for (const doc of linkSources) {
+      const broken = new Set();
+      walkStrings(ownSource(doc), (value) => {
+        if (!value.includes('@UUID[')) return;
+        for (const m of value.matchAll(UUID_LINK_PATTERN)) {
+          if (!uuidResolves(m[1])) broken.add(m[1]);
+        }
+      });
+      for (const target of broken) {
+        add('uuidLink', doc, `Link to ${target} does not resolve`, 'Replace link with its text', { target });
+      }
+    }
+
+    return findings;
+  }
+
+  // Rewrites every string in a document's own source through `replacer`; returns true if anything changed.
+  async _rewriteStrings(doc, replacer) {
+    const src = ownSource(doc);
+    const next = deepClone(src);
+    walkStrings(src, (value, path) => {
+      const out = replacer(value, path);
+      if (typeof out === 'string' && out !== value) setProperty(next, path, out);
+    });
+    const changes = diffObject(src, next);
+    if (!Object.keys(changes).length) return false;
+    await doc.update(changes);
+    return true;
+  }
+
+  async fixIntegrityFinding(finding) {
+    if (!game.user?.isGM) {
+      throw new Error('Optimizer requires GM permissions.');
+    }
+    if (!finding?.fix) return false;
+
+    const doc = await fromUuid(finding.uuid);
+    if (!doc) return false;
+
+    switch (finding.kind) {
+      case 'tokenActor':
+        await doc.update({ actorId: null, actorLink: false });
+        break;
+      case 'combatantToken':
+        await doc.delete();
+        break;
+      case 'ownershipUser':
+        await doc.update({ [`ownership.-=${finding.data.userId}`]: null });
+        break;
+      case 'folderParent':
+        await doc.update({ folder: null });
+        break;
+      case 'uuidLink': {
+        const target = finding.data.target;
+        await this._rewriteStrings(doc, (value) => value.replace(UUID_LINK_PATTERN, (match, uuid, label) => {
+          return uuid === target ? (label || uuid) : match;
+        }));
+        break;
+      }
+      default:
+        return false;
+    }
+
+    this.log(`Integrity: Fixed ${finding.kindLabel} on ${finding.uuid}`);
+    return true;
+  }
+
+  async _rebuildCompendiumIndexes(options, report) {
+    const results = await this.maintainCompendiums({
+      validate: !!options.doValidateCompendiumDocuments,
+      migrate: !!options.doMigrateCompendiums
+    });
+    report.compendiums.results = results;
+    report.compendiums.indexedPacks = results.filter(r => !r.error).length;
+    report.compendiums.indexedDocs = results.reduce((sum, r) => sum + r.entries, 0);
+    report.compendiums.problems = results.filter(r => r.problems).length;
+  }
+
+  // Times each pack's index load and looks for duplicate IDs and names; optionally validates
+  // every document and migrates unlocked world packs.
+  async maintainCompendiums({ validate = false, migrate = false } = {}) {
+    if (!game.user?.isGM) {
+      throw new Error('Optimizer requires GM permissions.');
+    }
+    const packs = Array.from(game.packs?.values?.() ?? []);
+    this.log(`Compendiums: Checking ${packs.length} packs${validate ? ', validating documents' : ''}${migrate ? ', migrating world packs' : ''}`);
+
+    const results = [];
+    for (const pack of packs) {
+      const result = {
+        collection: pack.collection,
+        title: pack.title ?? pack.metadata?.label ?? pack.collection,
+        documentName: pack.documentName,
+        packageType: pack.metadata?.packageType ?? null,
+        locked: !!pack.locked,
+        entries: 0,
+        indexMs: null,
+        loadMs: null,
+        duplicateIds: [],
+        duplicateNames: [],
+        invalid: null,
+        migrated: false,
+        error: null
+      };
+      results.push(result);
+
+      try {
+        let t0 = performance.now();
+        await pack.getIndex();
+        result.indexMs = Math.round(performance.now() - t0);
+
+        // The index is keyed by id and would hide duplicates, so count ids from the raw index query.
+        // v11 nests the index flags under `options`; v12+ takes them at the top level.
+        const cls = pack.documentClass;
+        const indexRequest = (game.release?.generation ?? 11) >= 12
+          ? { query: {}, index: true, indexFields: ['name'], pack: pack.collection }
+          : { query: {}, options: { index: true, indexFields: ['name'] }, pack: pack.collection };
+        const raw = await cls?.database?.get?.(cls, indexRequest);
+        const entries = Array.isArray(raw) ? raw : Array.from(pack.index?.values?.() ?? []);
+        result.entries = entries.length;
+
+        const ids = new Map();
+        const names = new Map();
+        for (const e of entries) {
+          const id = e._id ?? e.id;
+          ids.set(id, (ids.get(id) ?? 0) + 1);
+          const name = String(e.name ?? '').trim().toLowerCase();
+          if (name) names.set(name, [...(names.get(name) ?? []), e.name]);
+        }
+        result.duplicateIds = [...ids].filter(([, n]) => n > 1).map(([id]) => id);
+        result.duplicateNames = [...names.values()].filter(list => list.length > 1).map(list => ({ name: list[0], count: list.length }));
+
+        if (validate) {
+          t0 = performance.now();
+          await pack.getDocuments();
+          result.loadMs = Math.round(performance.now() - t0);
+          result.invalid = pack.invalidDocumentIds?.size ?? 0;
+        }
+
+        if (migrate && result.packageType === 'world' && !result.locked && typeof pack.migrate === 'function') {
+          await pack.migrate();
+          result.migrated = true;
+        }
+      } catch (e) {
+        result.error = String(e?.message ?? e);
+        this.log(`Compendiums: ${pack.collection} failed: ${result.error}`);
+      }
+      result.problems = result.duplicateIds.length + (result.invalid ?? 0) + (result.error ? 1 : 0);
+    }
+
+    const totalDocs = results.reduce((sum, r) => sum + r.entries, 0);
+    this.log(`Compendiums: Indexed ~${totalDocs} documents`);
+    const slowest = [...results].filter(r => Number.isFinite(r.indexMs)).sort((a, b) => b.indexMs - a.indexMs)[0];
+    if (slowest) this.log(`Compendiums: Slowest index ${slowest.collection} (${slowest.indexMs}ms)`);
+    for (const r of results.filter(r => r.duplicateIds.length || r.invalid)) {
+      this.log(`Compendiums: ${r.collection} has ${r.duplicateIds.length} duplicate id(s), ${r.invalid ?? 0} invalid document(s)`);
+    }
+    const migrated = results.filter(r => r.migrated).length;
+    if (migrated) this.log(`Compendiums: Migrated ${migrated} world pack(s)`);
+    return results;
+  }
+
+  async _applyCorePerformanceTweaks(report) {
+    // Best-effort: some Foundry builds clamp core.maxFPS (often to 60) at the
+    // settings schema level. If so, try to lift the ceiling before previewing.
+    const desiredCoreFPS = 120;
+    _raiseCoreMaxFPSCeiling(desiredCoreFPS);
+
+    const planned = this._previewCorePerformanceChanges();
+
+    // Even if Foundry's core.maxFPS setting is capped (often 60), we can still
+    // raise the PIXI ticker maxFPS ceiling so the client can render up to the
+    // monitor refresh rate (e.g. 100Hz) when the environment allows it.
+    const desiredTickerFPS = 120;
+    try {
+      if (globalThis.canvas?.app?.ticker) {
+        const currentTicker = Number(globalThis.canvas.app.ticker.maxFPS) || 0;
+        if (currentTicker < desiredTickerFPS) {
+          _recordOriginalPerformance('ticker.maxFPS', globalThis.canvas.app.ticker.maxFPS);
+          globalThis.canvas.app.ticker.maxFPS = desiredTickerFPS;
+        }
+        report.performance.tickerMaxFPS = globalThis.canvas.app.ticker.maxFPS;
+      }
+    } catch (_e) {
+      // ignore
+    }
+
+    if (!planned.length) {
+      this.log('Performance: No core settings changes needed');
+      if (report.performance.tickerMaxFPS) this.log(`Performance: Ticker maxFPS is ${report.performance.tickerMaxFPS}`);
+      return;
+    }
+
+    this.log(`Performance: Applying ${planned.length} core settings changes`);
+    const applied = [];
+    const failed = [];
+    for (const change of planned) {
+      const [ns, key] = change.setting.split('.');
+      try {
+        _recordOriginalPerformance(change.setting, change.from);
+        await game.settings.set(ns, key, change.to);
+        applied.push(change);
+
+        // Best-effort: apply FPS cap immediately to the PIXI ticker.
+        if (change.setting === 'core.maxFPS') {
+          try {
+            const v = Number(change.to);
+            if (Number.isFinite(v) && globalThis.canvas?.app?.ticker) {
+              _recordOriginalPerformance('ticker.maxFPS', globalThis.canvas.app.ticker.maxFPS);
+              globalThis.canvas.app.ticker.maxFPS = v;
+            }
+          } catch (_e) {
+            // ignore
+          }
+        }
+      } catch (e) {
+        // Some worlds/modules can throw during settings application due to render hooks.
+        // Treat this as non-fatal so the optimizer can complete other work.
+        const msg = e?.message ?? String(e);
+        failed.push({ ...change, error: msg });
+        this.log(`Performance: Failed to apply ${change.setting}: ${msg}`);
+      }
+    }
+    if (applied.length) report.performance.applied = applied;
+    if (failed.length) report.performance.failed = failed;
+    if (report.performance.tickerMaxFPS) this.log(`Performance: Ticker maxFPS is ${report.performance.tickerMaxFPS}`);
+  }
+}
+
+class RNKSystemOptimizerApp extends FormApplication {
+  static get defaultOptions() {
+    const merge = (globalThis.foundry?.utils?.mergeObject) ?? globalThis.mergeObject;
+    return merge(super.defaultOptions, {
+      id: 'rnk-system-optimizer-app',
+      title: 'RNK Vortex | System Optimizer',
+      template: `modules/${MODULE_ID}/templates/optimizer.html`,
+      width: 920,
+      height: 640,
+      resizable: true,
+      classes: ['rnk-system-optimizer-window'],
+      closeOnSubmit: false,
+      submitOnChange: false,
+      editable: true
+    });
+  }
+
+  constructor(object = {}, options = {}) {
+    super(object, options);
+    this._logLines = [];
+    this._lastReport = null;
+    this._flagSelection = new Set();
+    this._settingSelection = new Set();
+    this._presetResults = [];
+    this._telemetry = null;
+    this._frameProfiles = null;
+    this._hookProfile = null;
+    this._textures = null;
+    this._compendiumResults = null;
+    this._unusedAssets = null;
+    this._service = new RNKSystemOptimizerService({
+      logFn: (line) => {
+        this._logLines.push(line);
+        if (this._logLines.length > 300) this._logLines.shift();
+        this._renderLog();
+      }
+    });
+  }
+
+  async getData(options) {
+    const world = (k) => game.settings.get(MODULE_ID, k);
+    const archiveMode = world('chatArchiveMode');
+    const scheduleMode = world('scheduleMode');
+    const activeProfile = world('activeProfile');
+    return {
+      doCleanupChat: world('doCleanupChat'),
+      chatRetentionDays: world('chatRetentionDays'),
+      chatArchiveMode: archiveMode,
+      chatRuleCount: (world('chatRetentionRules') ?? []).filter(r => r?.enabled !== false).length,
+      chatArchiveModes: [
+        { value: 'none', label: 'Do not archive' },
+        { value: 'compendium', label: 'Compendium (journal per scene)' },
+        { value: 'json', label: 'Download JSON' },
+        { value: 'html', label: 'Download HTML transcript' }
+      ].map(m => ({ ...m, selected: m.value === archiveMode })),
+      doCleanupInactiveCombats: world('doCleanupInactiveCombats'),
+      combatStaleDays: world('combatStaleDays'),
+      doCleanupScenelessCombats: world('doCleanupScenelessCombats'),
+      doCleanupDefeatedCombats: world('doCleanupDefeatedCombats'),
+      doCleanupTokenlessCombats: world('doCleanupTokenlessCombats'),
+      doCleanupFogDeletedUsers: world('doCleanupFogDeletedUsers'),
+      doCleanupFogDeletedScenes: world('doCleanupFogDeletedScenes'),
+      fogStaleDays: world('fogStaleDays'),
+      doRebuildCompendiumIndexes: world('doRebuildCompendiumIndexes'),
+      doValidateCompendiumDocuments: world('doValidateCompendiumDocuments'),
+      doMigrateCompendiums: world('doMigrateCompendiums'),
+      compendiumResults: this._getCompendiumData(world('analysisTopN')),
+      doCorePerformanceTweaks: world('doCorePerformanceTweaks'),
+      clientPresets: Object.entries(CLIENT_PRESETS).map(([value, p]) => ({ value, label: p.label })),
+      clientUsers: (game.users?.contents ?? []).filter(u => u.active && u.id !== game.user.id).map(u => ({ id: u.id, name: u.name, isGM: u.isGM })),
+      presetResults: this._presetResults,
+      telemetry: this._getTelemetryData(),
+      profilerWindowSeconds: world('profilerWindowSeconds'),
+      profilerMotions: [
+        { value: 'none', label: 'None' },
+        { value: 'pan', label: 'Pan' },
+        { value: 'zoom', label: 'Zoom' }
+      ].map(m => ({ ...m, selected: m.value === world('profilerMotion') })),
+      profilerCompareRun: world('profilerCompareRun'),
+      frameProfiles: this._getFrameProfilesData(),
+      hookProfilerAttribution: game.settings.get(MODULE_ID, 'hookProfilerAttribution'),
+      hookProfilerActive: !!_hookSession,
+      hookProfilerSince: _hookSession ? new Date(_hookSession.startedAt).toLocaleTimeString() : null,
+      hookProfile: this._getHookProfileData(world('analysisTopN')),
+      startup: this._getStartupData(world('analysisTopN')),
+      textureMaxResolution: world('textureMaxResolution'),
+      textures: this._getTexturesData(world('analysisTopN')),
+      performanceOriginals: this._service.describeOriginalPerformance().map(o => ({ ...o, changed: o.current !== o.original })),
+      doRecycleBin: world('doRecycleBin'),
+      doExtractInlineImages: world('doExtractInlineImages'),
+      doScrubModuleFlags: world('doScrubModuleFlags'),
+      flags: this._getFlagsData(),
+      doPruneOrphanSettings: world('doPruneOrphanSettings'),
+      orphanSettings: this._getOrphanSettingsData(),
+      doAnalyzeDatabase: world('doAnalyzeDatabase'),
+      doIntegrityScan: world('doIntegrityScan'),
+      integrity: this._getIntegrityData(),
+      analysisTopN: world('analysisTopN'),
+      database: this._getDatabaseData(),
+      sceneAudit: this._getSceneAuditData(),
+      doSceneAudit: world('doSceneAudit'),
+      doValidateDocuments: world('doValidateDocuments'),
+      validation: this._getValidationData(world('analysisTopN')),
+      doFindDuplicates: world('doFindDuplicates'),
+      duplicates: this._getDuplicatesData(),
+      doCheckMediaPaths: world('doCheckMediaPaths'),
+      media: this._getMediaData(),
+      unusedAssetFolders: world('unusedAssetFolders'),
+      unusedAssets: this._getUnusedAssetsData(world('analysisTopN')),
+      profiles: Object.keys(getProfiles()).sort().map(name => ({ name, selected: name === activeProfile })),
+      scheduleModes: [
+        { value: 'off', label: 'Off' },
+        { value: 'days', label: 'Every N days' },
+        { value: 'sessions', label: 'Every Nth session' }
+      ].map(m => ({ ...m, selected: m.value === scheduleMode })),
+      scheduleInterval: world('scheduleInterval'),
+      scheduleUnattended: world('scheduleUnattended'),
+      scheduleLast: this._getScheduleStatus(world('scheduleState')),
+      recycleRuns: await this._getRecycleRunsData(world('recycleBinRetentionDays')),
+      log: this._logLines.join('\n')
+    };
+  }
+
+  _getFlagsData() {
+    const flags = this._lastReport?.flags;
+    if (!flags) return null;
+    return {
+      namespaces: flags.namespaces.map(n => ({
+        ...n,
+        size: formatBytes(n.bytes),
+        types: Object.entries(n.byType).map(([type, count]) => `${type} ${count}`).join(', '),
+        selected: this._flagSelection.has(n.namespace)
+      }))
+    };
+  }
+
+  _getOrphanSettingsData() {
+    const settings = this._lastReport?.settings;
+    if (!settings) return null;
+    return {
+      orphans: settings.orphans.map(o => ({ ...o, size: formatBytes(o.bytes), selected: this._settingSelection.has(o.key) }))
+    };
+  }
+
+  _getIntegrityData() {
+    const integrity = this._lastReport?.integrity;
+    if (!integrity) return null;
+    return {
+      count: integrity.findings.length,
+      fixable: integrity.findings.filter(f => f.fix).length,
+      findings: integrity.findings.slice(0, 200).map((f, index) => ({ ...f, index })),
+      truncated: Math.max(0, integrity.findings.length - 200)
+    };
+  }
+
+  _getValidationData(topN) {
+    const validation = this._lastReport?.validation;
+    if (!validation) return null;
+    return {
+      checked: validation.checked,
+      count: validation.documents.length,
+      invalidAtLoad: validation.documents.filter(d => d.invalidAtLoad).length,
+      groups: validation.groups.slice(0, Math.max(1, Number(topN) || 20)),
+      documents: validation.documents.slice(0, 200).map((d, index) => ({
+        ...d,
+        index,
+        summary: [...d.failures.map(f => f.path), ...d.obsolete.map(p => `${p} (obsolete)`)].slice(0, 5).join(', ')
+      })),
+      truncated: Math.max(0, validation.documents.length - 200)
+    };
+  }
+
+  _getDuplicatesData() {
+    const duplicates = this._lastReport?.duplicates;
+    if (!duplicates) return null;
+    return {
+      count: duplicates.groups.length,
+      exact: duplicates.groups.filter(g => g.kind === 'exact').length,
+      near: duplicates.groups.filter(g => g.kind === 'near').length,
+      similar: duplicates.groups.filter(g => g.kind === 'similar').length,
+      groups: duplicates.groups.slice(0, 200).map((g, index) => ({
+        ...g,
+        index,
+        copies: g.copies.map(c => ({ ...c, keep: c.id === g.keepId }))
+      })),
+      truncated: Math.max(0, duplicates.groups.length - 200)
+    };
+  }
+
+  _getMediaData() {
+    const media = this._lastReport?.media;
+    if (!media) return null;
+    return {
+      checked: media.checked,
+      external: media.external,
+      count: media.broken.length,
+      broken: media.broken.slice(0, 200).map(b => ({
+        ...b,
+        first: b.uses.slice(0, 3),
+        more: Math.max(0, b.uses.length - 3)
+      })),
+      truncated: Math.max(0, media.broken.length - 200)
+    };
+  }
+
+  _getUnusedAssetsData(topN) {
+    const a = this._unusedAssets;
+    if (!a) return null;
+    const limit = Math.max(1, Number(topN) || 20);
+    const top = Math.max(1, ...a.folders.map(f => f.bytes));
+    return {
+      roots: a.roots.join(', '),
+      files: a.files,
+      count: a.unused.length,
+      total: formatBytes(a.totalBytes),
+      truncated: a.truncated,
+      errors: a.errors,
+      skippedPacks: (a.skippedPacks ?? []).join(', '),
+      folders: a.folders.slice(0, limit).map(f => ({ ...f, size: formatBytes(f.bytes), percent: Math.round((f.bytes / top) * 100) })),
+      largest: a.unused.slice(0, limit).map(u => ({ ...u, name: u.path.split('/').pop(), size: u.size === null ? '?' : formatBytes(u.size) })),
+      more: Math.max(0, a.unused.length - limit)
+    };
+  }
+
+  _getDatabaseData() {
+    const db = this._lastReport?.analysis?.database;
+    if (!db) return null;
+    const pct = (bytes) => db.totalBytes > 0 ? Math.round((bytes / db.totalBytes) * 1000) / 10 : 0;
+    return {
+      total: formatBytes(db.totalBytes),
+      collections: db.collections.map(c => ({ ...c, size: formatBytes(c.bytes), percent: pct(c.bytes) })),
+      largest: db.largest.map(d => ({ ...d, size: formatBytes(d.bytes) }))
+    };
+  }
+
+  _getSceneAuditData() {
+    const scenes = this._lastReport?.analysis?.scenes;
+    if (!scenes) return null;
+    const top = Math.max(1, ...scenes.map(s => s.score));
+    return {
+      count: scenes.length,
+      scenes: scenes.map((s) => {
+        let background = 'no background';
+        if (s.background?.width) background = `${s.background.width}×${s.background.height} background`;
+        else if (s.background) background = 'background size unknown';
+        return {
+          ...s,
+          percent: Math.round((s.score / top) * 100),
+          summary: Object.entries(s.counts).filter(([, n]) => n > 0).map(([k, n]) => `${n} ${k}`).join(', ') || 'empty',
+          size: `${s.width}×${s.height} canvas, ${background}, ${s.gridSize}px grid`
+        };
+      })
+    };
+  }
+
+  _getScheduleStatus(state) {
+    const last = state?.lastRun ? new Date(state.lastRun).toLocaleString() : 'never';
+    const result = state?.lastResult ? `; last scheduled check ${state.lastResult.status} ${new Date(state.lastResult.at).toLocaleString()}` : '';
+    return `Last run: ${last}${result}`;
+  }
+
+  async _getRecycleRunsData(retentionDays) {
+    const days = Number(retentionDays) || 0;
+    return (await this._service.getRecycleBin())
+      .sort((a, b) => (b.createdAt ?? 0) - (a.createdAt ?? 0))
+      .map(run => ({
+        id: run.id,
+        created: new Date(run.createdAt).toLocaleString(),
+        expires: days > 0 ? new Date(run.createdAt + (days * 24 * 60 * 60 * 1000)).toLocaleDateString() : 'never',
+        count: run.documents.length,
+        documents: run.documents.map(d => ({ key: `${d.documentName}.${d.id}`, documentName: d.documentName, label: d.label }))
+      }));
+  }
+
+  // FormApplication requirement
+  async _updateObject(_event, _formData) {
+    // No-op: we persist changes immediately on input change.
+  }
+
+  activateListeners(html) {
+    super.activateListeners(html);
+
+    // Foundry versions vary: sometimes `html` is a jQuery object, sometimes it's
+    // a plain HTMLElement. Use event delegation on the root element.
+    const root = html?.[0] ?? html;
+    if (!root?.addEventListener) return;
+
+    root.addEventListener('change', (ev) => {
+      const t = ev?.target;
+      const name = t?.name;
+      if (!name) return;
+
+      if (name === 'doCleanupChat') return this._setSetting('doCleanupChat', !!t.checked);
+      if (name === 'chatRetentionDays') return this._setSetting('chatRetentionDays', Number(t.value) || 30);
+      if (name === 'chatArchiveMode') return this._setSetting('chatArchiveMode', String(t.value || 'none'));
+      if (name === 'doCleanupInactiveCombats') return this._setSetting('doCleanupInactiveCombats', !!t.checked);
+      if (name === 'combatStaleDays') return this._setSetting('combatStaleDays', Math.max(0, Number(t.value) || 0));
+      if (name === 'doCleanupScenelessCombats') return this._setSetting('doCleanupScenelessCombats', !!t.checked);
+      if (name === 'doCleanupDefeatedCombats') return this._setSetting('doCleanupDefeatedCombats', !!t.checked);
+      if (name === 'doCleanupTokenlessCombats') return this._setSetting('doCleanupTokenlessCombats', !!t.checked);
+      if (name === 'doCleanupFogDeletedUsers') return this._setSetting('doCleanupFogDeletedUsers', !!t.checked);
+      if (name === 'doCleanupFogDeletedScenes') return this._setSetting('doCleanupFogDeletedScenes', !!t.checked);
+      if (name === 'fogStaleDays') return this._setSetting('fogStaleDays', Math.max(0, Number(t.value) || 0));
+      if (name === 'doExtractInlineImages') return this._setSetting('doExtractInlineImages', !!t.checked);
+      if (name === 'doScrubModuleFlags') return this._setSetting('doScrubModuleFlags', !!t.checked);
+      if (name === 'scrubFlagNamespace') {
+        if (t.checked) this._flagSelection.add(t.value);
+        else this._flagSelection.delete(t.value);
+        return;
+      }
+      if (name === 'doPruneOrphanSettings') return this._setSetting('doPruneOrphanSettings', !!t.checked);
+      if (name === 'pruneSettingKey') {
+        if (t.checked) this._settingSelection.add(t.value);
+        else this._settingSelection.delete(t.value);
+        return;
+      }
+      if (name === 'doAnalyzeDatabase') return this._setSetting('doAnalyzeDatabase', !!t.checked);
+      if (name === 'doIntegrityScan') return this._setSetting('doIntegrityScan', !!t.checked);
+      if (name === 'doSceneAudit') return this._setSetting('doSceneAudit', !!t.checked);
+      if (name === 'doValidateDocuments') return this._setSetting('doValidateDocuments', !!t.checked);
+      if (name === 'doFindDuplicates') return this._setSetting('doFindDuplicates', !!t.checked);
+      if (name === 'doCheckMediaPaths') return this._setSetting('doCheckMediaPaths', !!t.checked);
+      if (name === 'unusedAssetFolders') return this._setSetting('unusedAssetFolders', String(t.value ?? '').trim());
+      if (name === 'analysisTopN') return this._setSetting('analysisTopN', Number(t.value) || 20);
+      if (name === 'scheduleMode') return this._setSetting('scheduleMode', String(t.value || 'off'));
+      if (name === 'scheduleInterval') return this._setSetting('scheduleInterval', Math.max(1, Number(t.value) || 1));
+      if (name === 'scheduleUnattended') return this._setSetting('scheduleUnattended', !!t.checked);
+      if (name === 'profilerWindowSeconds') return this._setSetting('profilerWindowSeconds', Math.max(2, Math.min(120, Number(t.value) || 10)));
+      if (name === 'profilerMotion') return this._setSetting('profilerMotion', String(t.value || 'none'));
+      if (name === 'profilerCompareRun') return this._setSetting('profilerCompareRun', !!t.checked);
+      if (name === 'hookProfilerAttribution') return this._setSetting('hookProfilerAttribution', !!t.checked);
+      if (name === 'textureMaxResolution') return this._setSetting('textureMaxResolution', Math.max(512, Number(t.value) || 4096));
+      if (name === 'doRecycleBin') return this._setSetting('doRecycleBin', !!t.checked);
+      if (name === 'doRebuildCompendiumIndexes') return this._setSetting('doRebuildCompendiumIndexes', !!t.checked);
+      if (name === 'doValidateCompendiumDocuments') return this._setSetting('doValidateCompendiumDocuments', !!t.checked);
+      if (name === 'doMigrateCompendiums') return this._setSetting('doMigrateCompendiums', !!t.checked);
+      if (name === 'doCorePerformanceTweaks') return this._setSetting('doCorePerformanceTweaks', !!t.checked);
+    });
+
+    root.addEventListener('click', (ev) => {
+      const btn = ev?.target?.closest?.('[data-action]');
+      const action = btn?.dataset?.action;
+      if (!action) return;
+
+      if (action === 'dryRun') return this._onDryRun();
+      if (action === 'run') return this._onRun();
+      if (action === 'editChatRules') return this._onEditChatRules();
+      if (action === 'restorePerformance') return this._onRestorePerformance();
+      if (action === 'sendPreset') return this._onSendPreset();
+      if (action === 'collectTelemetry') return this._onCollectTelemetry();
+      if (action === 'profileFrames') return this._onProfileFrames();
+      if (action === 'checkCompendiums') return this._onCheckCompendiums();
+      if (action === 'inspectTextures') return this._onInspectTextures();
+      if (action === 'evictTextures') return this._onEvictTextures();
+      if (action === 'startHookProfiler') return this._onStartHookProfiler();
+      if (action === 'stopHookProfiler') return this._onStopHookProfiler();
+      if (action === 'applyProfile') return this._onApplyProfile();
+      if (action === 'saveProfile') return this._onSaveProfile();
+      if (action === 'deleteProfile') return this._onDeleteProfile();
+      if (action === 'exportProfiles') return this._onExportProfiles();
+      if (action === 'importProfiles') return this._onImportProfiles();
+      if (action === 'restoreRun') return this._onRestoreRun(btn.dataset.runId, false);
+      if (action === 'restoreSelected') return this._onRestoreRun(btn.dataset.runId, true);
+      if (action === 'deleteRun') return this._onDeleteRun(btn.dataset.runId);
+      if (action === 'openDocument') return this._onOpenDocument(btn.dataset.uuid);
+      if (action === 'fixIntegrity') return this._onFixIntegrity(Number(btn.dataset.index));
+      if (action === 'fixSceneWalls') return this._onFixSceneWalls(btn.dataset.sceneId);
+      if (action === 'repairValidation') return this._onRepairValidation(Number(btn.dataset.index));
+      if (action === 'mergeDuplicates') return this._onMergeDuplicates(Number(btn.dataset.index));
+      if (action === 'replaceMediaPrefix') return this._onReplaceMediaPrefix();
+      if (action === 'scanUnusedAssets') return this._onScanUnusedAssets();
+      if (action === 'exportUnusedAssets') return this._onExportUnusedAssets();
+      if (action === 'repairAllValidation') return this._onRepairValidation(null);
+      if (action === 'fixAllIntegrity') return this._onFixIntegrity(null);
+      if (action === 'close') return this.close();
+    });
+  }
+
+  async _setSetting(key, value) {
+    try {
+      await game.settings.set(MODULE_ID, key, value);
+    } catch (e) {
+      ui.notifications.error(`Failed to save setting: ${key}`);
+      console.error(`${MODULE_ID} | setting error`, e);
+    }
+  }
+
+  _getTelemetryData() {
+    if (!this._telemetry) return null;
+    const rows = this._telemetry.map((r) => {
+      const d = r.data ?? {};
+      const f = d.frames ?? {};
+      return {
+        name: r.name,
+        isGM: r.isGM,
+        error: r.error,
+        avgFps: f.avgFps ?? '—',
+        p95: f.p95 ?? '—',
+        p99: f.p99 ?? '—',
+        max: f.max ?? '—',
+        heap: Number.isFinite(d.heapUsed) ? formatBytes(d.heapUsed) : 'n/a',
+        renderer: d.renderer ?? 'unknown',
+        resolution: d.resolution ? `${d.resolution.width}×${d.resolution.height} @${d.resolution.scale}x` : '—',
+        slow: Number.isFinite(f.avgFps) && f.avgFps < 30
+      };
+    });
+    const fps = rows.map(r => r.avgFps).filter(Number.isFinite);
+    return {
+      rows,
+      responded: rows.filter(r => !r.error).length,
+      minFps: fps.length ? Math.min(...fps) : null,
+      avgFps: fps.length ? Math.round((fps.reduce((a, b) => a + b, 0) / fps.length) * 10) / 10 : null
+    };
+  }
+
+  _getFrameProfilesData() {
+    const runs = (this._frameProfiles ?? []).filter(r => r.profile);
+    if (!runs.length) return null;
+
+    const view = runs.map(({ label, profile }) => {
+      const max = Math.max(1, ...profile.histogram.map(b => b.count));
+      const total = profile.summary.frames || 1;
+      return {
+        label,
+        motion: profile.motion,
+        seconds: Math.round(profile.durationMs / 100) / 10,
+        summary: profile.summary,
+        histogram: profile.histogram.map(b => ({
+          ...b,
+          share: Math.round((b.count / total) * 1000) / 10,
+          percent: Math.round((b.count / max) * 100)
+        })),
+        longFrames: profile.longFrames.slice(0, 10).map(f => ({ ...f, time: new Date(f.at).toLocaleTimeString(), offset: (f.offsetMs / 1000).toFixed(2) })),
+        moreLongFrames: Math.max(0, profile.longFrames.length - 10),
+        longFrameCount: profile.longFrames.length
+      };
+    });
+
+    let comparison = null;
+    if (view.length === 2) {
+      const [a, b] = view;
+      const metric = (name, key, higherIsBetter) => {
+        const before = a.summary[key];
+        const after = b.summary[key];
+        const delta = Number.isFinite(before) && Number.isFinite(after) ? Math.round((after - before) * 10) / 10 : null;
+        const better = delta === null || delta === 0 ? null : (higherIsBetter ? delta > 0 : delta < 0);
+        return { name, before, after, delta: delta === null ? '—' : `${delta > 0 ? '+' : ''}${delta}`, better };
+      };
+      comparison = [
+        metric('Average FPS', 'avgFps', true),
+        metric('1% low FPS', 'low1', true),
+        metric('0.1% low FPS', 'low01', true),
+        metric('p99 frame (ms)', 'p99', false),
+        metric('Worst frame (ms)', 'max', false),
+        { name: 'Long frames', before: a.longFrameCount, after: b.longFrameCount, delta: `${b.longFrameCount - a.longFrameCount > 0 ? '+' : ''}${b.longFrameCount - a.longFrameCount}`, better: b.longFrameCount === a.longFrameCount ? null : b.longFrameCount < a.longFrameCount }
+      ];
+    }
+    return { runs: view, comparison, longFrameMs: LONG_FRAME_MS };
+  }
+
+  _getHookProfileData(topN) {
+    const p = this._hookProfile;
+    if (!p) return null;
+    const limit = Math.max(1, Number(topN) || 20);
+    const worst = Math.max(0.001, ...p.modules.map(m => m.total));
+    const ms = (n) => n.toFixed(2);
+    return {
+      seconds: Math.round(p.durationMs / 1000),
+      modules: p.modules.slice(0, limit).map(m => ({
+        module: m.module,
+        title: game.modules?.get(m.module)?.title ?? m.module,
+        calls: m.calls,
+        hooks: m.hooks,
+        total: ms(m.total),
+        max: ms(m.max),
+        maxHook: m.maxHook,
+        percent: Math.round((m.total / worst) * 100)
+      })),
+      hooks: p.hooks.slice(0, limit).map(h => ({ ...h, total: ms(h.total), max: ms(h.max) }))
+    };
+  }
+
+  _getStartupData(topN) {
+    const history = this._service.getLoadHistory();
+    const latest = history[0];
+    if (!latest) return null;
+
+    const seconds = (ms) => (Number.isFinite(ms) ? (ms / 1000).toFixed(2) : '—');
+    let previous = latest.marks.script ?? 0;
+    const phases = ['script', ...LOAD_PHASES].filter(p => Number.isFinite(latest.marks[p])).map((phase) => {
+      const at = latest.marks[phase];
+      const row = { phase: phase === 'script' ? 'optimizer script' : phase, at: seconds(at), delta: seconds(at - previous) };
+      previous = at;
+      return row;
+    });
+
+    const modules = (latest.modules ?? []).slice(0, Math.max(1, Number(topN) || 20));
+    const worst = Math.max(1, ...modules.map(m => m.duration));
+    return {
+      when: new Date(latest.at).toLocaleString(),
+      phases,
+      modules: modules.map(m => ({
+        ...m,
+        title: game.modules?.get(m.module)?.title ?? m.module,
+        seconds: seconds(m.duration),
+        size: formatBytes(m.bytes),
+        percent: Math.round((m.duration / worst) * 100)
+      })),
+      trend: history.map(h => ({
+        when: new Date(h.at).toLocaleString(),
+        ready: seconds(h.marks.ready),
+        canvasReady: seconds(h.marks.canvasReady),
+        modules: seconds((h.modules ?? []).reduce((sum, m) => sum + m.duration, 0))
+      }))
+    };
+  }
+
+  _onStartHookProfiler() {
+    if (this._service.startHookProfiler()) {
+      ui.notifications.info('Hook profiler started. Play normally, then stop it here.');
+    }
+    this.render(false);
+  }
+
+  _onStopHookProfiler() {
+    const result = this._service.stopHookProfiler();
+    if (result) this._hookProfile = result;
+    this.render(false);
+  }
+
+  _profilerOptions() {
+    return {
+      seconds: game.settings.get(MODULE_ID, 'profilerWindowSeconds'),
+      motion: game.settings.get(MODULE_ID, 'profilerMotion')
+    };
+  }
+
+  async _onProfileFrames() {
+    const root = this.element?.[0] ?? this.element;
+    const btn = root?.querySelector?.('button[data-action="profileFrames"]');
+    if (btn) btn.disabled = true;
+    try {
+      const profile = await this._service.profileFrames(this._profilerOptions());
+      this._frameProfiles = [{ label: 'Profile', profile }];
+    } catch (e) {
+      console.error(`${MODULE_ID} | profiler failed`, e);
+      ui.notifications.error(`Profiler failed: ${e?.message ?? e}`);
+    } finally {
+      if (btn) btn.disabled = false;
+      this.render(false);
+    }
+  }
+
+  async _onCollectTelemetry() {
+    if (!game.user?.isGM) return ui.notifications.warn('GM only.');
+    const root = this.element?.[0] ?? this.element;
+    const btn = root?.querySelector?.('button[data-action="collectTelemetry"]');
+    if (btn) btn.disabled = true;
+
+    this._telemetry = (game.users?.contents ?? []).filter(u => u.active).map(u => ({ userId: u.id, name: u.name, isGM: u.isGM, data: null, error: 'measuring...' }));
+    this.render(false);
+
+    const onResponse = (userId, data) => {
+      const row = this._telemetry?.find(r => r.userId === userId);
+      if (!row) return;
+      row.data = data;
+      row.error = data?.error ?? null;
+      this.render(false);
+    };
+
+    try {
+      this._telemetry = await this._service.collectTelemetry({ onResponse });
+    } catch (e) {
+      console.error(`${MODULE_ID} | telemetry failed`, e);
+      ui.notifications.error(`Telemetry failed: ${e?.message ?? e}`);
+    } finally {
+      if (btn) btn.disabled = false;
+      this.render(false);
+    }
+  }
+
+  async _onSendPreset() {
+    if (!game.user?.isGM) return ui.notifications.warn('GM only.');
+    const root = this.element?.[0] ?? this.element;
+    const preset = root?.querySelector?.('select[name="clientPreset"]')?.value;
+    const userIds = Array.from(root?.querySelectorAll?.('input[name="presetUser"]:checked') ?? []).map(i => i.value);
+    if (!CLIENT_PRESETS[preset]) return ui.notifications.warn('Choose a preset.');
+    if (!userIds.length) return ui.notifications.warn('Select at least one connected player.');
+
+    const label = CLIENT_PRESETS[preset].label;
+    this._presetResults = userIds.map(id => ({ userId: id, name: game.users?.get(id)?.name ?? id, preset: label, status: 'waiting...' }));
+    this.render(false);
+
+    const onResponse = (userId, data) => {
+      const row = this._presetResults.find(r => r.userId === userId);
+      if (!row) return;
+      row.status = data?.error ? `error: ${data.error}` : (data?.accepted ? `accepted (${data.applied?.length ?? 0} changed)` : 'declined');
+      this.render(false);
+    };
+
+    try {
+      await this._service.recommendClientPreset(preset, userIds, { onResponse });
+    } catch (e) {
+      console.error(`${MODULE_ID} | preset send failed`, e);
+      ui.notifications.error(`Could not send preset: ${e?.message ?? e}`);
+    }
+    for (const row of this._presetResults) if (row.status === 'waiting...') row.status = 'no response';
+    this.render(false);
+  }
+
+  _getCompendiumData(topN) {
+    const results = this._compendiumResults;
+    if (!results) return null;
+    const limit = Math.max(1, Number(topN) || 20);
+    const slowest = new Set([...results].filter(r => Number.isFinite(r.indexMs)).sort((a, b) => b.indexMs - a.indexMs).slice(0, 3).map(r => r.collection));
+    const largest = new Set([...results].sort((a, b) => b.entries - a.entries).slice(0, 3).map(r => r.collection));
+    // Packs with problems first, then by index time.
+    const rows = [...results].sort((a, b) => (b.problems - a.problems) || ((b.indexMs ?? 0) - (a.indexMs ?? 0)));
+    return {
+      count: results.length,
+      documents: results.reduce((sum, r) => sum + r.entries, 0),
+      problems: results.filter(r => r.problems).length,
+      more: Math.max(0, rows.length - limit),
+      rows: rows.slice(0, limit).map(r => ({
+        ...r,
+        slow: slowest.has(r.collection),
+        large: largest.has(r.collection),
+        duplicateNameCount: r.duplicateNames.length,
+        duplicateNameList: r.duplicateNames.slice(0, 20).map(d => `${d.name} ×${d.count}`).join(', '),
+        invalid: r.invalid ?? '—',
+        loadMs: r.loadMs ?? '—'
+      }))
+    };
+  }
+
+  async _onCheckCompendiums() {
+    if (!game.user?.isGM) return ui.notifications.warn('GM only.');
+    const root = this.element?.[0] ?? this.element;
+    const btn = root?.querySelector?.('button[data-action="checkCompendiums"]');
+    if (btn) btn.disabled = true;
+    try {
+      const migrate = game.settings.get(MODULE_ID, 'doMigrateCompendiums');
+      if (migrate) {
+        const ok = await Dialog.confirm({
+          title: 'Migrate Compendiums',
+          content: '<p>Migrate every unlocked world compendium to the current data version? Back up the world first.</p>'
+        });
+        if (!ok) return;
+      }
+      this._compendiumResults = await this._service.maintainCompendiums({
+        validate: game.settings.get(MODULE_ID, 'doValidateCompendiumDocuments'),
+        migrate
+      });
+    } catch (e) {
+      console.error(`${MODULE_ID} | compendium check failed`, e);
+      ui.notifications.error(`Compendium check failed: ${e?.message ?? e}`);
+    } finally {
+      if (btn) btn.disabled = false;
+      this.render(false);
+    }
+  }
+
+  _getTexturesData(topN) {
+    const t = this._textures;
+    if (!t) return null;
+    const limit = Math.max(1, Number(topN) || 20);
+    const describeUses = (uses) => {
+      const byScene = new Map();
+      for (const u of uses) {
+        const counts = byScene.get(u.sceneName) ?? {};
+        byScene.set(u.sceneName, counts);
+        counts[u.kind] = (counts[u.kind] ?? 0) + 1;
+      }
+      return [...byScene].map(([scene, counts]) => `${scene}: ${Object.entries(counts).map(([k, n]) => (n > 1 ? `${n} ${k}s` : k)).join(', ')}`).join('; ');
+    };
+    return {
+      count: t.count,
+      totalVram: formatBytes(t.totalVram),
+      oversized: t.oversized,
+      maxResolution: t.maxResolution,
+      evictable: t.evictable,
+      evictableVram: formatBytes(t.evictableVram),
+      more: Math.max(0, t.textures.length - limit),
+      rows: t.textures.slice(0, limit).map(r => ({
+        src: r.src,
+        name: r.src.split('/').pop() || r.src,
+        size: `${r.width}×${r.height}`,
+        vram: formatBytes(r.vram),
+        uses: r.uses.length ? describeUses(r.uses) : 'not linked to a scene',
+        linked: r.uses.length > 0,
+        oversized: r.oversized,
+        inCurrentScene: r.inCurrentScene
+      }))
+    };
+  }
+
+  _onInspectTextures() {
+    try {
+      this._textures = this._service.inspectTextures({ maxResolution: game.settings.get(MODULE_ID, 'textureMaxResolution') });
+    } catch (e) {
+      console.error(`${MODULE_ID} | texture inspection failed`, e);
+      ui.notifications.error(`Texture inspection failed: ${e?.message ?? e}`);
+    }
+    this.render(false);
+  }
+
+  async _onEvictTextures() {
+    const t = this._textures;
+    if (!t?.evictable) return ui.notifications.info('No cached textures belong only to other scenes.');
+    const ok = await Dialog.confirm({
+      title: 'Evict Textures',
+      content: `<p>Unload <b>${t.evictable}</b> cached texture(s) (~${formatBytes(t.evictableVram)}) used only by scenes other than the one being viewed?</p><p>They are reloaded from disk when those scenes are opened.</p>`
+    });
+    if (!ok) return;
+    const { evicted, freed } = this._service.evictUnusedTextures(t.textures);
+    ui.notifications.info(`Evicted ${evicted} texture(s), ~${formatBytes(freed)}.`);
+    this._textures = this._service.inspectTextures({ maxResolution: t.maxResolution });
+    this.render(false);
+  }
+
+  async _onRestorePerformance() {
+    const originals = this._service.describeOriginalPerformance();
+    if (!originals.length) return ui.notifications.info('No original performance values recorded.');
+
+    const rows = originals.map(o => `<li><code>${escapeHTML(o.setting)}</code>: ${escapeHTML(o.current)} &rarr; ${escapeHTML(o.original)}</li>`).join('');
+    const ok = await Dialog.confirm({
+      title: 'Restore Performance Settings',
+      content: `<p>Restore these values and turn off core performance tweaks?</p><ul>${rows}</ul>`
+    });
+    if (!ok) return;
+
+    const { failed } = await this._service.restoreOriginalPerformance();
+    if (failed.length) ui.notifications.warn(`${failed.length} value(s) could not be restored. See the report.`);
+    else ui.notifications.info('Original performance settings restored.');
+    this.render(false);
+  }
+
+  _selectedProfileName() {
+    const root = this.element?.[0] ?? this.element;
+    return root?.querySelector?.('select[name="profile"]')?.value ?? '';
+  }
+
+  async _onApplyProfile() {
+    const name = this._selectedProfileName();
+    const profile = getProfiles()[name];
+    if (!profile) return ui.notifications.warn('Select a profile first.');
+
+    const options = sanitizeProfileOptions(profile);
+    for (const k of OPTION_KEYS) await this._setSetting(k, options[k]);
+    await this._setSetting('activeProfile', name);
+    this._logLines.push(`[${nowISO()}] Profile applied: ${name}`);
+    this.render(false);
+  }
+
+  async _onSaveProfile() {
+    const current = game.settings.get(MODULE_ID, 'activeProfile') || '';
+    const name = await new Promise((resolve) => {
+      new Dialog({
+        title: 'Save Profile',
+        content: `<p>Save the current task settings as a profile.</p><input type="text" name="profileName" value="${escapeHTML(current)}" placeholder="Profile name" style="width: 100%">`,
+        buttons: {
+          save: { label: 'Save', callback: (html) => resolve(String((html?.[0] ?? html).querySelector('[name="profileName"]')?.value ?? '').trim()) },
+          cancel: { label: 'Cancel', callback: () => resolve('') }
+        },
+        default: 'save',
+        close: () => resolve('')
+      }).render(true);
+    });
+    if (!name) return;
+
+    const profiles = { ...getProfiles(), [name]: readOptionsFromSettings() };
+    await this._setSetting('profiles', profiles);
+    await this._setSetting('activeProfile', name);
+    this._logLines.push(`[${nowISO()}] Profile saved: ${name}`);
+    this.render(false);
+  }
+
+  async _onDeleteProfile() {
+    const name = this._selectedProfileName();
+    const profiles = { ...getProfiles() };
+    if (!profiles[name]) return ui.notifications.warn('Select a profile first.');
+
+    const ok = await Dialog.confirm({ title: 'Delete Profile', content: `<p>Delete profile <b>${escapeHTML(name)}</b>?</p>` });
+    if (!ok) return;
+
+    delete profiles[name];
+    await this._setSetting('profiles', profiles);
+    this._logLines.push(`[${nowISO()}] Profile deleted: ${name}`);
+    this.render(false);
+  }
+
+  _onExportProfiles() {
+    const data = { module: MODULE_ID, exportedAt: new Date().toISOString(), profiles: getProfiles() };
+    saveFile(JSON.stringify(data, null, 2), 'application/json', `rnk-optimizer-profiles-${game.world?.id ?? 'world'}.json`);
+  }
+
+  _onImportProfiles() {
+    const readText = (globalThis.foundry?.utils?.readTextFromFile) ?? globalThis.readTextFromFile;
+    new Dialog({
+      title: 'Import Profiles',
+      content: '<p>Profiles with the same name are replaced.</p><input type="file" name="profilesFile" accept=".json,application/json">',
+      buttons: {
+        import: {
+          label: 'Import',
+          callback: async (html) => {
+            const file = (html?.[0] ?? html).querySelector('[name="profilesFile"]')?.files?.[0];
+            if (!file) return ui.notifications.warn('Choose a file to import.');
+            try {
+              const data = JSON.parse(await readText(file));
+              const incoming = data?.profiles;
+              if (!incoming || typeof incoming !== 'object') throw new Error('No "profiles" object in file.');
+              const profiles = { ...getProfiles() };
+              for (const [name, options] of Object.entries(incoming)) profiles[name] = sanitizeProfileOptions(options);
+              await this._setSetting('profiles', profiles);
+              this._logLines.push(`[${nowISO()}] Imported ${Object.keys(incoming).length} profile(s)`);
+              this.render(false);
+            } catch (e) {
+              console.error(`${MODULE_ID} | profile import failed`, e);
+              ui.notifications.error(`Profile import failed: ${e?.message ?? e}`);
+            }
+          }
+        },
+        cancel: { label: 'Cancel' }
+      },
+      default: 'import'
+    }).render(true);
   }
 
-  async _cleanupChat(options, report) {
-    const days = Number(options.chatRetentionDays) || 30;
-    const cutoff = Date.now() - (days * 24 * 60 * 60 * 1000);
-    const all = game.messages?.contents ?? [];
-    const ids = all
-      .filter(m => (m?.timestamp ?? 0) > 0 && (m.timestamp < cutoff))
-      .map(m => m.id)
-      .filter(Boolean);
+  _onEditChatRules() {
+    const rules = game.settings.get(MODULE_ID, 'chatRetentionRules') ?? [];
+    const matchOptions = (selected) => Object.entries(CHAT_RULE_MATCHES)
+      .map(([k, label]) => `<option value="${k}" ${k === selected ? 'selected' : ''}>${label}</option>`)
+      .join('');
+    const row = (r) => `<tr data-rule-id="${escapeHTML(r.id ?? '')}">
+      <td><input type="checkbox" name="enabled" ${r.enabled !== false ? 'checked' : ''}></td>
+      <td><select name="match">${matchOptions(r.match)}</select></td>
+      <td><input type="text" name="value" value="${escapeHTML(r.value ?? '')}" placeholder="Speaker / actor"></td>
+      <td><input type="number" name="days" value="${Number.isFinite(Number(r.days)) ? Number(r.days) : 30}" min="0" step="1" style="width: 70px"></td>
+      <td><button type="button" data-rule-action="remove" title="Remove rule">&times;</button></td>
+    </tr>`;
 
-    if (!ids.length) {
-      this.log('Cleanup: No old chat messages to delete');
-      return;
-    }
+    const content = `<p style="font-size: 12px">Rules are checked top to bottom; the first match sets the retention period in days (0 keeps forever).
+      Messages flagged <code>flags.${MODULE_ID}.keep</code> or <code>.pinned</code> are never deleted.</p>
+      <table class="rnk-opt__rules">
+        <thead><tr><th>On</th><th>Match</th><th>Value</th><th>Days</th><th></th></tr></thead>
+        <tbody>${rules.map(row).join('')}</tbody>
+      </table>
+      <button type="button" data-rule-action="add">Add rule</button>`;
 
-    this.log(`Cleanup: Deleting ${ids.length} chat messages older than ${days} days`);
-    const batchSize = 100;
-    for (let i = 0; i < ids.length; i += batchSize) {
-      const batch = ids.slice(i, i + batchSize);
-      // Static deletion is more efficient than doc.delete() per message
-      await ChatMessage.deleteDocuments(batch);
-    }
-    report.cleanup.chat.deleted = ids.length;
+    new Dialog({
+      title: 'Chat Retention Rules',
+      content,
+      buttons: {
+        save: { label: 'Save', callback: (html) => this._saveChatRules(html) },
+        cancel: { label: 'Cancel' }
+      },
+      default: 'save',
+      render: (html) => {
+        const root = html?.[0] ?? html;
+        root?.addEventListener?.('click', (ev) => {
+          const action = ev?.target?.dataset?.ruleAction;
+          if (action === 'remove') ev.target.closest('tr')?.remove();
+          if (action === 'add') root.querySelector('tbody')?.insertAdjacentHTML('beforeend', row({ match: 'roll', days: 30 }));
+        });
+      }
+    }, { width: 560 }).render(true);
   }
 
-  async _cleanupCombats(report) {
-    const combats = game.combats?.contents ?? [];
-    const ids = combats
-      .filter(c => {
-        const isActive = !!c?.started;
-        const hasTurns = Array.isArray(c?.turns) ? c.turns.length > 0 : false;
-        return !isActive && !hasTurns;
-      })
-      .map(c => c.id)
-      .filter(Boolean);
+  async _saveChatRules(html) {
+    const root = html?.[0] ?? html;
+    const rules = Array.from(root?.querySelectorAll?.('tbody tr') ?? []).map(tr => ({
+      id: tr.dataset.ruleId || randomID(),
+      enabled: !!tr.querySelector('[name="enabled"]')?.checked,
+      match: tr.querySelector('[name="match"]')?.value || 'roll',
+      value: String(tr.querySelector('[name="value"]')?.value ?? '').trim(),
+      days: Math.max(0, Math.floor(Number(tr.querySelector('[name="days"]')?.value) || 0))
+    }));
+    await this._setSetting('chatRetentionRules', rules);
+    this.render(false);
+  }
 
-    if (!ids.length) {
-      this.log('Cleanup: No inactive combats to delete');
-      return;
+  async _onRestoreRun(runId, selectedOnly) {
+    if (!game.user?.isGM) return ui.notifications.warn('GM only.');
+    if (!runId) return;
+
+    let keys = null;
+    if (selectedOnly) {
+      const root = this.element?.[0] ?? this.element;
+      keys = Array.from(root?.querySelectorAll?.(`input[name="recycleEntry"][data-run-id="${runId}"]:checked`) ?? []).map(i => i.value);
+      if (!keys.length) return ui.notifications.warn('Select documents to restore first.');
     }
 
-    this.log(`Cleanup: Deleting ${ids.length} inactive combats`);
-    const batchSize = 50;
-    for (let i = 0; i < ids.length; i += batchSize) {
-      const batch = ids.slice(i, i + batchSize);
-      await Combat.deleteDocuments(batch);
+    try {
+      const { restored, alreadyPresent, failed } = await this._service.restoreFromRecycleBin(runId, keys);
+      const extra = [alreadyPresent ? `${alreadyPresent} already present` : null, failed ? `${failed} could not be restored (see log)` : null].filter(Boolean);
+      const message = `Restored ${restored} document(s)${extra.length ? `; ${extra.join(', ')}` : ''}.`;
+      if (failed) ui.notifications.warn(message);
+      else ui.notifications.info(message);
+    } catch (e) {
+      console.error(`${MODULE_ID} | restore failed`, e);
+      ui.notifications.error('Restore failed. See console.');
+      this._logLines.push(`[${nowISO()}] Restore failed: ${e?.message ?? e}`);
     }
-    report.cleanup.combats.deleted = ids.length;
+    this.render(false);
   }
 
-  async _rebuildCompendiumIndexes(report) {
-    const packs = Array.from(game.packs?.values?.() ?? []);
-    this.log(`Compendiums: Rebuilding indexes for ${packs.length} packs`);
+  async _onOpenDocument(uuid) {
+    if (!uuid) return;
+    try {
+      const doc = await fromUuid(uuid);
+      if (!doc) return ui.notifications.warn(`Document ${uuid} no longer exists.`);
+      if (doc.sheet) return doc.sheet.render(true);
+      ui.notifications.info(`${uuid} has no sheet to open.`);
+    } catch (e) {
+      console.error(`${MODULE_ID} | open document failed`, e);
+    }
+  }
 
-    let totalDocs = 0;
-    for (const pack of packs) {
+  // `index` fixes a single finding; null fixes every finding that has a fix.
+  async _onFixIntegrity(index) {
+    if (!game.user?.isGM) return ui.notifications.warn('GM only.');
+    const findings = this._lastReport?.integrity?.findings;
+    if (!findings) return;
+
+    const targets = index === null ? findings.filter(f => f.fix) : [findings[index]].filter(Boolean);
+    if (!targets.length) return;
+    if (targets.length > 1) {
+      const ok = await Dialog.confirm({
+        title: 'Fix Integrity Findings',
+        content: `<p>Apply the suggested fix to <b>${targets.length}</b> finding(s)?</p>`
+      });
+      if (!ok) return;
+    }
+
+    const fixed = new Set();
+    for (const finding of targets) {
       try {
-        const index = await pack.getIndex();
-        totalDocs += Array.isArray(index) ? index.length : 0;
+        if (await this._service.fixIntegrityFinding(finding)) fixed.add(finding);
       } catch (e) {
-        this.log(`Compendiums: Failed index for ${pack.collection}: ${e?.message ?? e}`);
+        console.error(`${MODULE_ID} | integrity fix failed`, e);
+        this._logLines.push(`[${nowISO()}] Integrity fix failed for ${finding.uuid}: ${e?.message ?? e}`);
       }
     }
 
-    report.compendiums.indexedPacks = packs.length;
-    report.compendiums.indexedDocs = totalDocs;
-    this.log(`Compendiums: Indexed ~${totalDocs} documents`);
+    this._lastReport.integrity.findings = findings.filter(f => !fixed.has(f));
+    if (fixed.size) ui.notifications.info(`Fixed ${fixed.size} integrity finding(s).`);
+    this.render(false);
   }
 
-  async _applyCorePerformanceTweaks(report) {
-    // Best-effort: some Foundry builds clamp core.maxFPS (often to 60) at the
-    // settings schema level. If so, try to lift the ceiling before previewing.
-    const desiredCoreFPS = 120;
-    _raiseCoreMaxFPSCeiling(desiredCoreFPS);
-
-    const planned = this._previewCorePerformanceChanges();
+  async _onRepairValidation(index) {
+    if (!game.user?.isGM) return ui.notifications.warn('GM only.');
+    const documents = this._lastReport?.validation?.documents;
+    if (!documents) return;
 
-    // Even if Foundry's core.maxFPS setting is capped (often 60), we can still
-    // raise the PIXI ticker maxFPS ceiling so the client can render up to the
-    // monitor refresh rate (e.g. 100Hz) when the environment allows it.
-    const desiredTickerFPS = 120;
-    try {
-      if (globalThis.canvas?.app?.ticker) {
-        const currentTicker = Number(globalThis.canvas.app.ticker.maxFPS) || 0;
-        if (currentTicker < desiredTickerFPS) {
-          globalThis.canvas.app.ticker.maxFPS = desiredTickerFPS;
-        }
-        report.performance.tickerMaxFPS = globalThis.canvas.app.ticker.maxFPS;
-      }
-    } catch (_e) {
-      // ignore
+    const targets = index === null ? documents : [documents[index]].filter(Boolean);
+    const repairs = [];
+    for (const entry of targets) {
+      const repair = this._service.buildValidationRepair(entry);
+      if (repair?.changes.length) repairs.push({ entry, repair });
     }
+    if (!repairs.length) return ui.notifications.info('Nothing here can be repaired automatically.');
 
-    if (!planned.length) {
-      this.log('Performance: No core settings changes needed');
-      if (report.performance.tickerMaxFPS) this.log(`Performance: Ticker maxFPS is ${report.performance.tickerMaxFPS}`);
-      return;
-    }
+    const show = (v) => (v === undefined ? '<i>removed</i>' : escapeHTML(JSON.stringify(v) ?? 'undefined'));
+    const preview = repairs.slice(0, 25).map(({ entry, repair }) => {
+      const rows = repair.changes.slice(0, 20).map(c => `<li><code>${escapeHTML(c.path)}</code>: ${show(c.from)} &rarr; ${show(c.to)}</li>`).join('');
+      const more = repair.changes.length > 20 ? `<li>...and ${repair.changes.length - 20} more</li>` : '';
+      const skipped = repair.unfixable.length ? `<li class="rnk-opt__muted">Left as is: ${escapeHTML(repair.unfixable.join(', '))}</li>` : '';
+      return `<p><b>${escapeHTML(entry.name)}</b> <span class="rnk-opt__muted">${escapeHTML(entry.documentName)}</span></p><ul>${rows}${more}${skipped}</ul>`;
+    }).join('');
+    const moreDocs = repairs.length > 25 ? `<p>...and ${repairs.length - 25} more document(s).</p>` : '';
+    const ok = await Dialog.confirm({
+      title: 'Repair Documents',
+      content: `<p>Apply schema cleaning to <b>${repairs.length}</b> document(s)? Back up the world first.</p><div style="max-height: 400px; overflow: auto">${preview}${moreDocs}</div>`
+    });
+    if (!ok) return;
 
-    this.log(`Performance: Applying ${planned.length} core settings changes`);
-    const applied = [];
-    const failed = [];
-    for (const change of planned) {
-      const [ns, key] = change.setting.split('.');
+    const repaired = new Set();
+    for (const { entry, repair } of repairs) {
       try {
-        await game.settings.set(ns, key, change.to);
-        applied.push(change);
-
-        // Best-effort: apply FPS cap immediately to the PIXI ticker.
-        if (change.setting === 'core.maxFPS') {
-          try {
-            const v = Number(change.to);
-            if (Number.isFinite(v) && globalThis.canvas?.app?.ticker) {
-              globalThis.canvas.app.ticker.maxFPS = v;
-            }
-          } catch (_e) {
-            // ignore
-          }
-        }
+        if (await this._service.applyValidationRepair(repair)) repaired.add(entry);
       } catch (e) {
-        // Some worlds/modules can throw during settings application due to render hooks.
-        // Treat this as non-fatal so the optimizer can complete other work.
-        const msg = e?.message ?? String(e);
-        failed.push({ ...change, error: msg });
-        this.log(`Performance: Failed to apply ${change.setting}: ${msg}`);
+        console.error(`${MODULE_ID} | validation repair failed`, e);
+        this._logLines.push(`[${nowISO()}] Repair failed for ${entry.uuid}: ${e?.message ?? e}`);
       }
     }
-    if (applied.length) report.performance.applied = applied;
-    if (failed.length) report.performance.failed = failed;
-    if (report.performance.tickerMaxFPS) this.log(`Performance: Ticker maxFPS is ${report.performance.tickerMaxFPS}`);
-  }
-}
-
-class RNKSystemOptimizerApp extends FormApplication {
-  static get defaultOptions() {
-    const merge = (globalThis.foundry?.utils?.mergeObject) ?? globalThis.mergeObject;
-    return merge(super.defaultOptions, {
-      id: 'rnk-system-optimizer-app',
-      title: 'RNK Vortex | System Optimizer',
-      template: `modules/${MODULE_ID}/templates/optimizer.html`,
-      width: 920,
-      height: 640,
-      resizable: true,
-      classes: ['rnk-system-optimizer-window'],
-      closeOnSubmit: false,
-      submitOnChange: false,
-      editable: true
-    });
-  }
 
-  constructor(object = {}, options = {}) {
-    super(object, options);
-    this._logLines = [];
-    this._service = new RNKSystemOptimizerService({
-      logFn: (line) => {
-        this._logLines.push(line);
-        if (this._logLines.length > 300) this._logLines.shift();
-        this._renderLog();
-      }
+    // Re-check what was repaired; anything still failing stays listed.
+    const validation = this._lastReport.validation;
+    validation.documents = documents.flatMap((entry) => {
+      if (!repaired.has(entry)) return [entry];
+      const doc = this._service._resolveValidationDocument(entry);
+      if (!doc) return [];
+      const fresh = this._service._validateDocument(doc);
+      if (!fresh.failures.length && !fresh.obsolete.length) return [];
+      return [entry.invalidAtLoad ? { ...fresh, invalidAtLoad: true, collection: entry.collection, id: entry.id } : fresh];
     });
+    if (repaired.size) ui.notifications.info(`Repaired ${repaired.size} document(s).`);
+    this.render(false);
   }
 
-  async getData(options) {
-    const world = (k) => game.settings.get(MODULE_ID, k);
-    return {
-      doCleanupChat: world('doCleanupChat'),
-      chatRetentionDays: world('chatRetentionDays'),
-      doCleanupInactiveCombats: world('doCleanupInactiveCombats'),
-      doRebuildCompendiumIndexes: world('doRebuildCompendiumIndexes'),
-      doCorePerformanceTweaks: world('doCorePerformanceTweaks'),
-      log: this._logLines.join('\n')
-    };
+  async _onScanUnusedAssets() {
+    if (!game.user?.isGM) return ui.notifications.warn('GM only.');
+    const root = this.element?.[0] ?? this.element;
+    const btn = root?.querySelector?.('button[data-action="scanUnusedAssets"]');
+    if (btn) btn.disabled = true;
+    try {
+      const folders = String(game.settings.get(MODULE_ID, 'unusedAssetFolders') ?? '').split(',').map(f => f.trim()).filter(Boolean);
+      this._unusedAssets = await this._service.findUnusedAssets(folders);
+    } catch (e) {
+      console.error(`${MODULE_ID} | asset scan failed`, e);
+      ui.notifications.error(`Asset scan failed: ${e?.message ?? e}`);
+    } finally {
+      if (btn) btn.disabled = false;
+      this.render(false);
+    }
   }
 
-  // FormApplication requirement
-  async _updateObject(_event, _formData) {
-    // No-op: we persist changes immediately on input change.
+  _onExportUnusedAssets() {
+    const a = this._unusedAssets;
+    if (!a) return;
+    const cell = (v) => `"${String(v ?? '').replace(/"/g, '""')}"`;
+    // File rows first, then one total row per folder.
+    const lines = ['kind,path,folder,files,bytes', ...a.unused.map((u) => {
+      const folder = u.path.includes('/') ? u.path.slice(0, u.path.lastIndexOf('/')) : '';
+      return ['file', cell(u.path), cell(folder), 1, u.size ?? ''].join(',');
+    }), ...a.folders.map(f => ['folder', cell(f.folder), cell(f.folder), f.count, f.bytes].join(','))];
+    try {
+      saveFile(lines.join('\n'), 'text/csv', `unused-assets-${game.world?.id ?? 'world'}-${Date.now()}.csv`);
+    } catch (e) {
+      ui.notifications.error(`Export failed: ${e?.message ?? e}`);
+    }
   }
 
-  activateListeners(html) {
-    super.activateListeners(html);
+  async _onReplaceMediaPrefix() {
+    if (!game.user?.isGM) return ui.notifications.warn('GM only.');
+    const root = this.element?.[0] ?? this.element;
+    const from = root?.querySelector?.('input[name="mediaPrefixFrom"]')?.value?.trim();
+    const to = root?.querySelector?.('input[name="mediaPrefixTo"]')?.value?.trim() ?? '';
+    if (!from) return ui.notifications.warn('Enter the old path prefix.');
 
-    // Foundry versions vary: sometimes `html` is a jQuery object, sometimes it's
-    // a plain HTMLElement. Use event delegation on the root element.
-    const root = html?.[0] ?? html;
-    if (!root?.addEventListener) return;
+    try {
+      const preview = await this._service.replaceMediaPrefix(from, to, { dryRun: true });
+      if (!preview.fields) return ui.notifications.info(`No paths are inside "${preview.from}".`);
+      const ok = await Dialog.confirm({
+        title: 'Replace Path Prefix',
+        content: `<p>Rewrite <b>${preview.fields}</b> path(s) in <b>${preview.documents}</b> document(s)?</p><p><code>${escapeHTML(preview.from)}</code> &rarr; <code>${escapeHTML(preview.to || '(data root)')}</code></p><p>Only document data changes; no files are moved or deleted.</p>`
+      });
+      if (!ok) return;
+      const { fields, documents } = await this._service.replaceMediaPrefix(from, to);
+      ui.notifications.info(`Rewrote ${fields} path(s) in ${documents} document(s). Run a dry run to re-check.`);
+    } catch (e) {
+      console.error(`${MODULE_ID} | prefix replace failed`, e);
+      ui.notifications.error(`Replace failed: ${e?.message ?? e}`);
+    }
+    this.render(false);
+  }
 
-    root.addEventListener('change', (ev) => {
-      const t = ev?.target;
-      const name = t?.name;
-      if (!name) return;
+  async _onMergeDuplicates(index) {
+    if (!game.user?.isGM) return ui.notifications.warn('GM only.');
+    const groups = this._lastReport?.duplicates?.groups;
+    const group = groups?.[index];
+    if (!group?.mergeable) return;
 
-      if (name === 'doCleanupChat') return this._setSetting('doCleanupChat', !!t.checked);
-      if (name === 'chatRetentionDays') return this._setSetting('chatRetentionDays', Number(t.value) || 30);
-      if (name === 'doCleanupInactiveCombats') return this._setSetting('doCleanupInactiveCombats', !!t.checked);
-      if (name === 'doRebuildCompendiumIndexes') return this._setSetting('doRebuildCompendiumIndexes', !!t.checked);
-      if (name === 'doCorePerformanceTweaks') return this._setSetting('doCorePerformanceTweaks', !!t.checked);
+    const root = this.element?.[0] ?? this.element;
+    const keepId = root?.querySelector?.(`input[name="duplicateKeep-${index}"]:checked`)?.value ?? group.keepId;
+    const keep = group.copies.find(c => c.id === keepId);
+    const others = group.copies.filter(c => c.id !== keepId);
+    const warning = group.kind === 'near' ? '<p><b>These copies differ in name, image, ownership or flags.</b> Those differences in the deleted copies are lost (they stay in the Recycle Bin).</p>' : '';
+    const ok = await Dialog.confirm({
+      title: 'Merge Duplicates',
+      content: `${warning}<p>Point tokens, notes and links at <b>${escapeHTML(keep?.name)}</b>${keep?.folder ? ` (${escapeHTML(keep.folder)})` : ''} and delete ${others.length} other cop${others.length === 1 ? 'y' : 'ies'}?</p>`
     });
+    if (!ok) return;
 
-    root.addEventListener('click', (ev) => {
-      const btn = ev?.target?.closest?.('[data-action]');
-      const action = btn?.dataset?.action;
-      if (!action) return;
+    try {
+      const { deleted, updated } = await this._service.mergeDuplicates(group, keepId);
+      ui.notifications.info(`Merged ${deleted} duplicate(s), ${updated} reference(s) updated.`);
+      groups.splice(index, 1);
+    } catch (e) {
+      console.error(`${MODULE_ID} | duplicate merge failed`, e);
+      ui.notifications.error(`Merge failed: ${e?.message ?? e}`);
+      this._logLines.push(`[${nowISO()}] Merge failed for ${group.name}: ${e?.message ?? e}`);
+    }
+    this.render(false);
+  }
 
-      if (action === 'dryRun') return this._onDryRun();
-      if (action === 'run') return this._onRun();
-      if (action === 'close') return this.close();
+  async _onFixSceneWalls(sceneId) {
+    if (!game.user?.isGM) return ui.notifications.warn('GM only.');
+    const scenes = this._lastReport?.analysis?.scenes;
+    const audit = scenes?.find(s => s.id === sceneId);
+    if (!audit?.walls.fixable) return;
+
+    const parts = [];
+    if (audit.walls.zeroLength) parts.push(`delete <b>${audit.walls.zeroLength}</b> zero-length wall(s)`);
+    if (audit.walls.duplicates) parts.push(`delete <b>${audit.walls.duplicates}</b> duplicate wall(s)`);
+    if (audit.walls.merges) parts.push(`merge collinear segments into <b>${audit.walls.merges}</b> wall(s)`);
+    const ok = await Dialog.confirm({
+      title: 'Fix Scene Walls',
+      content: `<p>In <b>${escapeHTML(audit.name)}</b> this will:</p><ul>${parts.map(p => `<li>${p}</li>`).join('')}</ul><p>Doors and one-way walls are never merged. Continue?</p>`
     });
-  }
+    if (!ok) return;
 
-  async _setSetting(key, value) {
     try {
-      await game.settings.set(MODULE_ID, key, value);
+      const { deleted, merged } = await this._service.fixSceneWalls(sceneId);
+      ui.notifications.info(`${audit.name}: ${deleted} wall(s) removed, ${merged} merged.`);
+      const scene = game.scenes?.get(sceneId);
+      const index = scenes.indexOf(audit);
+      if (scene && index >= 0) scenes[index] = this._service._auditScene(scene, game.settings.get(MODULE_ID, 'textureMaxResolution'), audit.background);
     } catch (e) {
-      ui.notifications.error(`Failed to save setting: ${key}`);
-      console.error(`${MODULE_ID} | setting error`, e);
+      console.error(`${MODULE_ID} | wall fix failed`, e);
+      this._logLines.push(`[${nowISO()}] Wall fix failed for ${audit.name}: ${e?.message ?? e}`);
     }
+    this.render(false);
+  }
+
+  async _onDeleteRun(runId) {
+    if (!game.user?.isGM) return ui.notifications.warn('GM only.');
+    if (!runId) return;
+
+    const ok = await Dialog.confirm({
+      title: 'Delete Snapshot',
+      content: '<p>Permanently delete this snapshot? Its documents can no longer be restored.</p>'
+    });
+    if (!ok) return;
+
+    await this._service.deleteRecycleBinRun(runId);
+    this.render(false);
   }
 
   _getOptionsFromSettings() {
-    const world = (k) => game.settings.get(MODULE_ID, k);
     return {
-      doCleanupChat: world('doCleanupChat'),
-      chatRetentionDays: world('chatRetentionDays'),
-      doCleanupInactiveCombats: world('doCleanupInactiveCombats'),
-      doRebuildCompendiumIndexes: world('doRebuildCompendiumIndexes'),
-      doCorePerformanceTweaks: world('doCorePerformanceTweaks')
+      ...readOptionsFromSettings(),
+      scrubFlagNamespaces: Array.from(this._flagSelection),
+      pruneSettingKeys: Array.from(this._settingSelection)
     };
   }
 
@@ -561,14 +5172,79 @@ class RNKSystemOptimizerApp extends FormApplication {
 
     try {
       const report = await this._service.dryRun(this._getOptionsFromSettings());
+      this._lastReport = report;
+      if (report.flags) {
+        const stale = new Set(report.flags.namespaces.map(n => n.namespace));
+        for (const ns of this._flagSelection) if (!stale.has(ns)) this._flagSelection.delete(ns);
+      }
+      if (report.settings) {
+        const orphaned = new Set(report.settings.orphans.map(o => o.key));
+        for (const key of this._settingSelection) if (!orphaned.has(key)) this._settingSelection.delete(key);
+      }
       this._logLines.push(`[${nowISO()}] Dry Run: chat would delete ${report.cleanup.chat.wouldDelete ?? 0}`);
+      for (const rule of report.cleanup.chat.byRule ?? []) {
+        const period = rule.days > 0 ? `${rule.days}d` : 'keep';
+        this._logLines.push(`[${nowISO()}] Dry Run:   ${rule.label} (${period}) would delete ${rule.wouldDelete}`);
+      }
+      if (report.cleanup.chat.kept) this._logLines.push(`[${nowISO()}] Dry Run:   ${report.cleanup.chat.kept} pinned/keep messages excluded`);
+      if (report.cleanup.chat.enabled && report.cleanup.chat.archive !== 'none') this._logLines.push(`[${nowISO()}] Dry Run: chat would be archived first (${report.cleanup.chat.archive})`);
       this._logLines.push(`[${nowISO()}] Dry Run: combats would delete ${report.cleanup.combats.wouldDelete ?? 0}`);
+      for (const [criterion, count] of Object.entries(report.cleanup.combats.byCriterion ?? {})) {
+        this._logLines.push(`[${nowISO()}] Dry Run:   ${COMBAT_CRITERIA[criterion]}: ${count}`);
+      }
+      if (report.cleanup.fog.enabled) {
+        this._logLines.push(`[${nowISO()}] Dry Run: fog exploration would delete ${report.cleanup.fog.wouldDelete ?? 0} of ${report.cleanup.fog.total ?? 0}`);
+        for (const [criterion, count] of Object.entries(report.cleanup.fog.byCriterion ?? {})) {
+          this._logLines.push(`[${nowISO()}] Dry Run:   ${FOG_CRITERIA[criterion]}: ${count}`);
+        }
+      }
       if (report.compendiums.enabled) this._logLines.push(`[${nowISO()}] Dry Run: would index ${report.compendiums.packs} compendium packs`);
+      for (const o of report.performance.originals ?? []) {
+        this._logLines.push(`[${nowISO()}] Dry Run: ${o.setting} current=${o.current} original=${o.original}`);
+      }
       if (report.performance.enabled) {
         const changes = report.performance.changes ?? [];
         if (!changes.length) this._logLines.push(`[${nowISO()}] Dry Run: no core performance changes needed`);
         else for (const c of changes) this._logLines.push(`[${nowISO()}] Dry Run: ${c.setting} ${c.from} -> ${c.to}`);
       }
+      if (report.inlineImages?.enabled) {
+        const inline = report.inlineImages;
+        this._logLines.push(`[${nowISO()}] Dry Run: ${inline.wouldRewrite} field(s) hold inline images (~${formatBytes(inline.totalBytes)})`);
+        for (const f of inline.findings.slice(0, 25)) {
+          this._logLines.push(`[${nowISO()}] Dry Run:   ${f.documentName} "${f.name}" ${f.field}: ${f.count} image(s), ${formatBytes(f.bytes)}`);
+        }
+        if (inline.findings.length > 25) this._logLines.push(`[${nowISO()}] Dry Run:   ...and ${inline.findings.length - 25} more`);
+      }
+      if (report.flags?.enabled) {
+        this._logLines.push(`[${nowISO()}] Dry Run: ${report.flags.namespaces.length} stale flag namespace(s) found (see Module Flags)`);
+        for (const n of report.flags.namespaces) {
+          this._logLines.push(`[${nowISO()}] Dry Run:   ${n.namespace} (${n.status}): ${n.docs} document(s), ${formatBytes(n.bytes)}`);
+        }
+      }
+      if (report.settings?.enabled) {
+        const total = report.settings.orphans.reduce((acc, o) => acc + o.bytes, 0);
+        this._logLines.push(`[${nowISO()}] Dry Run: ${report.settings.orphans.length} orphaned world setting(s), ~${formatBytes(total)} (see Orphaned Settings)`);
+      }
+      if (report.media?.enabled) {
+        this._logLines.push(`[${nowISO()}] Dry Run: ${report.media.broken.length} of ${report.media.checked} media path(s) missing or unreachable (see Broken Media)`);
+      }
+      if (report.duplicates?.enabled) {
+        this._logLines.push(`[${nowISO()}] Dry Run: ${report.duplicates.groups.length} duplicate group(s) among actors, items and journals (see Duplicates)`);
+      }
+      if (report.validation?.enabled) {
+        this._logLines.push(`[${nowISO()}] Dry Run: ${report.validation.documents.length} of ${report.validation.checked} document(s) have invalid or obsolete fields (see Validation)`);
+      }
+      if (report.integrity?.enabled) {
+        this._logLines.push(`[${nowISO()}] Dry Run: integrity scan found ${report.integrity.findings.length} broken reference(s) (see Integrity)`);
+      }
+      if (report.analysis?.scenes) {
+        const fixable = report.analysis.scenes.filter(s => s.walls.fixable).length;
+        this._logLines.push(`[${nowISO()}] Dry Run: audited ${report.analysis.scenes.length} scene(s), ${fixable} with wall fixes (see Scenes)`);
+      }
+      if (report.analysis?.database) {
+        const db = report.analysis.database;
+        this._logLines.push(`[${nowISO()}] Dry Run: world database ~${formatBytes(db.totalBytes)} (see Database)`);
+      }
       if (Array.isArray(report.notes) && report.notes.length) {
         for (const note of report.notes) this._logLines.push(`[${nowISO()}] Note: ${note}`);
       }
@@ -578,7 +5254,7 @@ class RNKSystemOptimizerApp extends FormApplication {
     }
 
     if (this._logLines.length > 300) this._logLines = this._logLines.slice(-300);
-    this._renderLog();
+    this.render(false);
   }
 
   async _onRun() {
@@ -588,10 +5264,17 @@ class RNKSystemOptimizerApp extends FormApplication {
     const report = await this._service.dryRun(options);
 
     const wouldDelete = (report.cleanup.chat.wouldDelete ?? 0) + (report.cleanup.combats.wouldDelete ?? 0);
-    if (wouldDelete > 0) {
+    const pending = [];
+    if (wouldDelete > 0) pending.push(`delete <b>${wouldDelete}</b> documents (chat + combats)`);
+    if (report.compendiums.enabled && options.doMigrateCompendiums) pending.push('migrate unlocked world compendiums to the current data version');
+    if (report.cleanup.fog?.wouldDelete) pending.push(`permanently delete <b>${report.cleanup.fog.wouldDelete}</b> fog exploration record(s) (not kept in the Recycle Bin)`);
+    if (report.settings?.wouldDelete) pending.push(`delete <b>${report.settings.wouldDelete}</b> orphaned world setting(s)`);
+    if (report.flags?.wouldScrub) pending.push(`remove flags of <b>${report.flags.selected.join(', ')}</b> from <b>${report.flags.wouldScrub}</b> document(s)`);
+    if (report.inlineImages?.wouldRewrite) pending.push(`extract inline images from <b>${report.inlineImages.wouldRewrite}</b> field(s) to files and rewrite them`);
+    if (pending.length) {
       const ok = await Dialog.confirm({
         title: 'Confirm Optimization',
-        content: `<p>This will delete <b>${wouldDelete}</b> documents (chat + combats) based on the current settings.</p><p>Continue?</p>`
+        content: `<p>Based on the current settings this will:</p><ul>${pending.map(p => `<li>${p}</li>`).join('')}</ul><p>Continue?</p>`
       });
       if (!ok) {
         this._logLines.push(`[${nowISO()}] Canceled.`);
@@ -605,21 +5288,49 @@ class RNKSystemOptimizerApp extends FormApplication {
     if (btn) btn.disabled = true;
 
     try {
+      const compare = game.settings.get(MODULE_ID, 'profilerCompareRun');
+      const beforeProfile = compare ? await this._service.profileFrames(this._profilerOptions()) : null;
+
       const beforePerf = performance.memory?.usedJSHeapSize;
       const finalReport = await this._service.optimize(options, { dryRun: false });
       const afterPerf = performance.memory?.usedJSHeapSize;
 
+      if (compare) {
+        const afterProfile = await this._service.profileFrames(this._profilerOptions());
+        this._frameProfiles = [{ label: 'Before', profile: beforeProfile }, { label: 'After', profile: afterProfile }];
+      }
+
       if (Number.isFinite(beforePerf) && Number.isFinite(afterPerf)) {
         this._logLines.push(`[${nowISO()}] Heap: ${formatBytes(beforePerf)} -> ${formatBytes(afterPerf)}`);
       }
 
+      if (finalReport.cleanup.chat.archived) {
+        const a = finalReport.cleanup.chat.archived;
+        this._logLines.push(`[${nowISO()}] Archived: ${a.messages} chat messages (${a.mode})`);
+      }
+
+      if (Number.isFinite(finalReport.inlineImages?.rewritten)) {
+        const inline = finalReport.inlineImages;
+        this._logLines.push(`[${nowISO()}] Done: inline images rewrote ${inline.rewritten} field(s) into ${inline.files ?? 0} file(s)`);
+      }
+
+      if (Number.isFinite(finalReport.settings?.deleted)) {
+        this._logLines.push(`[${nowISO()}] Done: deleted ${finalReport.settings.deleted} orphaned world setting(s)`);
+      }
+
+      if (Number.isFinite(finalReport.flags?.scrubbed)) {
+        this._logLines.push(`[${nowISO()}] Done: scrubbed module flags from ${finalReport.flags.scrubbed} document(s)`);
+      }
+
       const deletedChat = finalReport.cleanup.chat.deleted ?? 0;
       const deletedCombats = finalReport.cleanup.combats.deleted ?? 0;
-      this._logLines.push(`[${nowISO()}] Done: deleted chat=${deletedChat}, combats=${deletedCombats}`);
+      const deletedFog = finalReport.cleanup.fog?.deleted ?? 0;
+      this._logLines.push(`[${nowISO()}] Done: deleted chat=${deletedChat}, combats=${deletedCombats}, fog=${deletedFog}`);
 
       if (finalReport.compendiums.indexedPacks) {
         this._logLines.push(`[${nowISO()}] Done: indexed packs=${finalReport.compendiums.indexedPacks}, docs~=${finalReport.compendiums.indexedDocs ?? 0}`);
       }
+      if (finalReport.compendiums.results) this._compendiumResults = finalReport.compendiums.results;
 
       if (Array.isArray(finalReport.performance.applied) && finalReport.performance.applied.length) {
         for (const c of finalReport.performance.applied) {
@@ -631,7 +5342,13 @@ class RNKSystemOptimizerApp extends FormApplication {
         this._logLines.push(`[${nowISO()}] Observed RAF FPS ~ ${finalReport.performance.rafFPS}`);
       }
 
+      if (finalReport.recycleBin?.snapshots) {
+        this._logLines.push(`[${nowISO()}] Recycle Bin: ${finalReport.recycleBin.snapshots} document(s) saved as run ${finalReport.runId}`);
+      }
+
+      await recordOptimizationRun('performed', reportSummaryLines(finalReport, { applied: true }));
       ui.notifications.info('System optimization completed');
+      this.render(false);
     } catch (e) {
       console.error(`${MODULE_ID} | optimize failed`, e);
       ui.notifications.error('System optimization failed. See console.');
@@ -644,6 +5361,67 @@ class RNKSystemOptimizerApp extends FormApplication {
   }
 }
 
+async function runScheduledOptimization() {
+  const mode = game.settings.get(MODULE_ID, 'scheduleMode');
+  if (mode !== 'days' && mode !== 'sessions') return;
+
+  // With several GMs connected, only one of them runs the schedule.
+  const activeGM = game.users?.activeGM ?? game.users?.find?.(u => u.isGM && u.active);
+  if (activeGM && activeGM.id !== game.user.id) return;
+
+  const interval = Math.max(1, Number(game.settings.get(MODULE_ID, 'scheduleInterval')) || 1);
+  const state = deepClone(game.settings.get(MODULE_ID, 'scheduleState') ?? {});
+  const launch = game.world?.lastPlayed ?? null;
+  const now = Date.now();
+  const newSession = launch
+    ? state.lastSession !== launch
+    : now - (Number(state.lastSessionAt) || 0) >= SCHEDULE_SESSION_GAP_MS;
+  if (newSession) {
+    state.sessionsSinceRun = (Number(state.sessionsSinceRun) || 0) + 1;
+    state.lastSession = launch;
+    state.lastSessionAt = now;
+    await game.settings.set(MODULE_ID, 'scheduleState', state);
+  } else if (mode === 'sessions') {
+    // Session schedules are only evaluated once per launch.
+    return;
+  }
+
+  const due = mode === 'days'
+    ? Date.now() - (Number(state.lastRun) || 0) >= interval * 24 * 60 * 60 * 1000
+    : state.sessionsSinceRun >= interval;
+  if (!due) return;
+
+  const service = new RNKSystemOptimizerService();
+  const options = readOptionsFromSettings();
+  const listHTML = (lines) => `<ul>${lines.map(l => `<li>${escapeHTML(l)}</li>`).join('')}</ul>`;
+
+  const unattended = !!game.settings.get(MODULE_ID, 'scheduleUnattended');
+  if (!unattended) {
+    const preview = reportSummaryLines(await service.dryRun(options));
+    const ok = await Dialog.confirm({
+      title: 'Scheduled Optimization',
+      content: `<p>A scheduled optimization is due. Dry run:</p>${listHTML(preview)}<p>Run it now?</p>`
+    });
+    if (!ok) {
+      // Counters are kept, so the run is offered again next session.
+      await recordOptimizationRun('skipped', preview);
+      await whisperToGMs('<p><b>System Optimizer:</b> scheduled optimization was skipped.</p>');
+      return;
+    }
+  }
+
+  try {
+    const report = await service.optimize(options, { interactive: !unattended });
+    const lines = reportSummaryLines(report, { applied: true });
+    await recordOptimizationRun('performed', lines);
+    await whisperToGMs(`<p><b>System Optimizer:</b> scheduled optimization performed.</p>${listHTML(lines)}`);
+  } catch (e) {
+    await recordOptimizationRun('failed', [String(e?.message ?? e)]);
+    await whisperToGMs(`<p><b>System Optimizer:</b> scheduled optimization failed: ${escapeHTML(e?.message ?? e)}</p>`);
+    throw e;
+  }
+}
+
 Hooks.once('init', () => {
   console.log(`${MODULE_ID} | Initializing`);
 
@@ -654,16 +5432,22 @@ Hooks.once('init', () => {
     globalThis.__RNK_OPTIMIZER_INIT_STATUS_LOGGED = true;
     const menuKey = `${MODULE_ID}.optimizerMenu`;
     const hasMenu = !!game?.settings?.menus?.has?.(menuKey);
-    const keys = ['doCleanupChat', 'chatRetentionDays', 'doCleanupInactiveCombats', 'doRebuildCompendiumIndexes', 'doCorePerformanceTweaks', 'optimizeOnStartup'];
+    const keys = [...OPTION_KEYS, 'scheduleMode', 'scheduleInterval', 'scheduleUnattended', 'scheduleState', 'profilerWindowSeconds', 'profilerMotion', 'profilerCompareRun', 'hookProfilerAttribution', 'textureMaxResolution', 'unusedAssetFolders', 'loadHistorySize', 'loadHistory', 'profiles', 'activeProfile', 'originalPerformance', 'optimizeOnStartup'];
     const missing = keys.filter(k => !_isSettingRegistered(k));
     console.log(`${MODULE_ID} | Init status: menu=${hasMenu ? 'ok' : 'missing'} settingsMissing=${missing.length ? missing.join(',') : 'none'}`);
   }
 
-  // Expose app for macros / debugging
+  // Expose app and service for macros / debugging, e.g.
+  //   new RNKSystemOptimizerService().optimize('Weekly light')
   globalThis.RNKSystemOptimizerApp = RNKSystemOptimizerApp;
+  globalThis.RNKSystemOptimizerService = RNKSystemOptimizerService;
 });
 
 Hooks.once('ready', async () => {
+  // Every client answers optimizer socket requests; everything below is GM-only.
+  game.socket?.on?.(SOCKET_NAME, handleSocketMessage);
+  if (globalThis.canvas?.scene && !globalThis.canvas.ready) Hooks.once('canvasReady', () => recordLoadTiming());
+  else recordLoadTiming();
   if (!game.user?.isGM) return;
 
   // Safety: legacy module scripts can load after init; ensure settings exist before reading.
@@ -685,15 +5469,18 @@ Hooks.once('ready', async () => {
 
   if (runOnStartup) {
     const service = new RNKSystemOptimizerService();
-    service.optimize({
-      doCleanupChat: game.settings.get(MODULE_ID, 'doCleanupChat'),
-      chatRetentionDays: game.settings.get(MODULE_ID, 'chatRetentionDays'),
-      doCleanupInactiveCombats: game.settings.get(MODULE_ID, 'doCleanupInactiveCombats'),
-      doRebuildCompendiumIndexes: game.settings.get(MODULE_ID, 'doRebuildCompendiumIndexes'),
-      doCorePerformanceTweaks: game.settings.get(MODULE_ID, 'doCorePerformanceTweaks')
-    }).catch((e) => {
+    service.optimize(readOptionsFromSettings(), { interactive: false }).catch((e) => {
       console.error(`${MODULE_ID} | startup optimize failed`, e);
     });
+  } else {
+    // Snapshots expire even in sessions where nothing is optimized.
+    new RNKSystemOptimizerService().pruneRecycleBin(game.settings.get(MODULE_ID, 'recycleBinRetentionDays')).catch((e) => {
+      console.warn(`${MODULE_ID} | recycle bin expiry failed`, e);
+    });
+
+    runScheduledOptimization().catch((e) => {
+      console.error(`${MODULE_ID} | scheduled optimize failed`, e);
+    });
   }
 
   // Apply a best-effort ticker FPS ceiling on every load when performance tweaks are enabled.
@@ -706,6 +5493,7 @@ Hooks.once('ready', async () => {
       try {
         const currentCore = Number(game.settings.get('core', 'maxFPS'));
         if (Number.isFinite(currentCore) && currentCore < desiredCoreFPS) {
+          _recordOriginalPerformance('core.maxFPS', currentCore);
           await game.settings.set('core', 'maxFPS', desiredCoreFPS);
         }
         console.log(`${MODULE_ID} | core.maxFPS=${game.settings.get('core', 'maxFPS')}`);
@@ -716,6 +5504,7 @@ Hooks.once('ready', async () => {
       const desiredTickerFPS = 120;
       const currentTicker = Number(globalThis.canvas.app.ticker.maxFPS) || 0;
       if (currentTicker < desiredTickerFPS) {
+        _recordOriginalPerformance('ticker.maxFPS', globalThis.canvas.app.ticker.maxFPS);
         globalThis.canvas.app.ticker.maxFPS = desiredTickerFPS;
       }
       console.log(`${MODULE_ID} | Ticker maxFPS=${globalThis.canvas.app.ticker.maxFPS}`);